@@ -4,24 +4,44 @@ import config from "../src/config/config.js";
 
 const supabase = createClient(config.supabase.url, config.supabase.key);
 
-async function importZipCodes() {
-  const data = JSON.parse(
-    await fs.readFile("./data/zip_coordinates.json", "utf8")
-  );
+// Local coordinate files and the country they belong to
+const SOURCES = [
+  { country_code: "US", file: "./data/zip_coordinates.json" },
+  { country_code: "CA", file: "./data/ca_fsa_coordinates.json" },
+];
+
+async function importCountry({ country_code, file }) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    console.error(`Skipping ${country_code}, could not read ${file}:`, error);
+    return;
+  }
 
   const zipEntries = Object.entries(data).map(([zip_code, coords]) => ({
     zip_code,
+    country_code,
     latitude: coords.latitude,
     longitude: coords.longitude,
   }));
 
-  // Insert in batches of 1000
+  // Upsert in batches of 1000, so re-running after adding a country (or
+  // refreshing a file) updates the rows already there
   for (let i = 0; i < zipEntries.length; i += 1000) {
     const batch = zipEntries.slice(i, i + 1000);
-    const { error } = await supabase.from("zip_coordinates").insert(batch);
+    const { error } = await supabase
+      .from("zip_coordinates")
+      .upsert(batch, { onConflict: "country_code,zip_code" });
 
-    if (error) console.error("Error inserting batch:", error);
-    else console.log(`Inserted batch ${i / 1000 + 1}`);
+    if (error) console.error(`Error upserting ${country_code} batch:`, error);
+    else console.log(`Upserted ${country_code} batch ${i / 1000 + 1}`);
+  }
+}
+
+async function importZipCodes() {
+  for (const source of SOURCES) {
+    await importCountry(source);
   }
 }
 
@@ -0,0 +1,68 @@
+import { scrapeConfig } from "../src/config/scrapeConfig.js";
+import { buildRunWebhook } from "../src/utils/apifyWebhook.js";
+
+// Plays Apify's part of a run webhook against a local server, so
+// POST /api/v1/scrape/webhook can be tried without a public URL:
+//
+//   APIFY_WEBHOOK_SECRET=... node scripts/sendApifyWebhook.js <runId> <state> [city]
+//
+// The server fetches the run and its dataset from Apify. To try it without
+// Apify, start the server with the fixture run instead:
+//
+//   APIFY_FIXTURE_FILE=scripts/fixtures/apifyRun.json npm run dev
+//   APIFY_WEBHOOK_SECRET=... node scripts/sendApifyWebhook.js fixture-run-1 Texas
+//
+// Set WEBHOOK_URL to target another server, and EVENT_TYPE to send e.g.
+// ACTOR.RUN.ABORTED.
+
+const DEFAULT_URL = "http://localhost:3000/api/v1/scrape/webhook";
+
+// Fills in the template variables the way Apify does
+const renderTemplate = (template, variables) =>
+  template.replace(/{{(\w+)}}/g, (match, name) =>
+    JSON.stringify(variables[name])
+  );
+
+async function sendApifyWebhook() {
+  const [runId, state, city = ""] = process.argv.slice(2);
+  const secret = process.env.APIFY_WEBHOOK_SECRET;
+  if (!runId || !state || !secret) {
+    console.error(
+      "Usage: APIFY_WEBHOOK_SECRET=... node scripts/sendApifyWebhook.js <runId> <state> [city]"
+    );
+    process.exit(1);
+  }
+
+  const url = process.env.WEBHOOK_URL || DEFAULT_URL;
+  const webhook = buildRunWebhook({
+    url,
+    secret,
+    runId,
+    context: {
+      jobId: null,
+      state,
+      city,
+      searchQueries: scrapeConfig.searchQueries,
+      maxResults: scrapeConfig.maxResults,
+      actorOverrides: {},
+    },
+  });
+
+  const variables = {
+    eventType: process.env.EVENT_TYPE || "ACTOR.RUN.SUCCEEDED",
+    eventData: { actorRunId: runId },
+  };
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...JSON.parse(webhook.headersTemplate),
+    },
+    body: renderTemplate(webhook.payloadTemplate, variables),
+  });
+
+  console.log(`${response.status} ${response.statusText}`);
+  console.log(JSON.stringify(await response.json(), null, 2));
+}
+
+sendApifyWebhook().catch(console.error);
@@ -0,0 +1,117 @@
+/**
+ * Canadian FSA Data Transformation Script
+ *
+ * This script builds Canadian postal code coordinates in the same simplified
+ * format as data/zip_coordinates.json. Canadian codes are indexed by FSA
+ * (forward sortation area, the first 3 characters, e.g. "M5V").
+ * Data is from the FSA list of the zipcodes npm package (a devDependency,
+ * pinned so the committed file can be rebuilt exactly):
+ * https://www.npmjs.com/package/zipcodes (lib/codesCanada.js)
+ *
+ * The GeoNames postal code dump can be passed instead; its FSAs and points may
+ * differ from the committed file's:
+ * https://download.geonames.org/export/zip/CA.zip (CA.txt inside the archive)
+ * Tab separated, no header:
+ * country code, postal code, place name, admin name1, admin code1,
+ * admin name2, admin code2, admin name3, admin code3, latitude, longitude, accuracy
+ * CA	M5V	Toronto (Harbourfront East)	Ontario	ON	...	43.6408	-79.3818	6
+ *
+ * Output format:
+ * {
+ *   "M5V": {
+ *     "latitude": 43.6408,
+ *     "longitude": -79.3818
+ *   }
+ * }
+ *
+ * Usage:
+ * 1. Run: node scripts/transformFsaData.js
+ *    (or from the GeoNames dump: node scripts/transformFsaData.js <CA.txt>)
+ * 2. Output will be saved to: data/ca_fsa_coordinates_new.json
+ * 3. Verify the output and rename to ca_fsa_coordinates.json to use in the application
+ * 4. Commit data/ca_fsa_coordinates.json, which the API loads at startup
+ * 5. Run node scripts/importZipCodes.js to load it into the zip_coordinates table
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import zipcodesCanada from "zipcodes/lib/codesCanada.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Postal code rows of a GeoNames dump
+const readGeoNamesDump = async (input) =>
+  (await fs.readFile(input, "utf8"))
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => {
+      const columns = line.split("\t");
+      return {
+        postalCode: columns[1],
+        latitude: Number(columns[9]),
+        longitude: Number(columns[10]),
+      };
+    });
+
+// Its FSAs with a missing coordinate have it as null, and H0H (Canada Post's
+// code for letters to Santa Claus) is put at the North Pole; both are skipped
+const readZipcodesPackage = () =>
+  Object.values(zipcodesCanada.codes)
+    .filter((code) => code.zip !== "H0H")
+    .map((code) => ({
+      postalCode: code.zip,
+      latitude: code.latitude ?? NaN,
+      longitude: code.longitude ?? NaN,
+    }));
+
+async function transformFsaData() {
+  try {
+    const rows = process.argv[2]
+      ? await readGeoNamesDump(process.argv[2])
+      : readZipcodesPackage();
+
+    // Some FSAs appear more than once; average their points
+    const totals = new Map();
+    let skipped = 0;
+
+    for (const { postalCode, latitude, longitude } of rows) {
+      const fsa = postalCode?.trim().slice(0, 3).toUpperCase();
+
+      if (!/^[A-Z]\d[A-Z]$/.test(fsa) || isNaN(latitude) || isNaN(longitude)) {
+        skipped++;
+        continue;
+      }
+
+      const total = totals.get(fsa) || { latSum: 0, lngSum: 0, count: 0 };
+      total.latSum += latitude;
+      total.lngSum += longitude;
+      total.count++;
+      totals.set(fsa, total);
+    }
+
+    // Transform to required format
+    const transformedData = {};
+    for (const [fsa, { latSum, lngSum, count }] of totals) {
+      transformedData[fsa] = {
+        latitude: +(latSum / count).toFixed(5),
+        longitude: +(lngSum / count).toFixed(5),
+      };
+    }
+
+    // Write the transformed data
+    await fs.writeFile(
+      path.join(__dirname, "../data/ca_fsa_coordinates_new.json"),
+      JSON.stringify(transformedData, null, 2)
+    );
+
+    console.log("FSA data transformed successfully!");
+    console.log(`Total FSAs processed: ${Object.keys(transformedData).length}`);
+    console.log(`Rows skipped: ${skipped}`);
+  } catch (error) {
+    console.error("Failed to transform FSA data:", error);
+  }
+}
+
+transformFsaData();
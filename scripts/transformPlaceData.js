@@ -0,0 +1,166 @@
+/**
+ * Place Gazetteer Transformation Script
+ *
+ * This script builds an offline city/state gazetteer. City and state
+ * coordinates are the average of the ZIP code points that belong to them.
+ * Data is from the ZIP code list of the zipcodes npm package (a devDependency,
+ * pinned so the committed gazetteer can be rebuilt exactly):
+ * https://www.npmjs.com/package/zipcodes (lib/codes.js and lib/states.js)
+ * Its ZIP code points are not the OpenDataSoft ones in data/zip_coordinates.json,
+ * so city and state points can differ slightly from the ZIP codes' there.
+ *
+ * An OpenDataSoft ZIP code export, as used by transformZipData.js, can be passed
+ * instead; its rows are in the same shape the zipcodes entries are mapped to:
+ * https://public.opendatasoft.com/explore/dataset/georef-united-states-of-america-zc-point/export/
+ * [{
+ *   "zip_code": "78701",
+ *   "usps_city": "Austin",
+ *   "stusps_code": "TX",
+ *   "ste_name": "Texas",
+ *   "geo_point_2d": { "lon": -97.74267, "lat": 30.27127 }
+ *   // ... other fields
+ * }]
+ *
+ * Output format:
+ * {
+ *   "states": {
+ *     "TX": { "name": "Texas", "latitude": 31.1, "longitude": -97.6, "zipCount": 1935 }
+ *   },
+ *   "cities": [
+ *     { "city": "Austin", "state": "TX", "latitude": 30.3, "longitude": -97.7, "zipCount": 53 }
+ *   ]
+ * }
+ *
+ * Usage:
+ * 1. Run: node scripts/transformPlaceData.js
+ *    (or from an OpenDataSoft export: node scripts/transformPlaceData.js <input>)
+ * 2. Output will be saved to: data/place_gazetteer_new.json
+ * 3. Verify the output and rename to place_gazetteer.json to use in the application
+ * 4. Commit data/place_gazetteer.json; place search and the coverage-gap
+ *    reports read it at runtime and fail without it
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import zipcodes from "zipcodes/lib/codes.js";
+import zipcodesStates from "zipcodes/lib/states.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// "DISTRICT OF COLUMBIA" -> "District of Columbia"
+const toStateName = (upperCaseName) =>
+  upperCaseName
+    .toLowerCase()
+    .replace(/\b[a-z]/g, (letter) => letter.toUpperCase())
+    .replace(" Of ", " of ");
+
+// Maps the zipcodes package's ZIP list to OpenDataSoft rows. Entries without
+// a point, and territories it has no state name for, are left out.
+const readZipcodesPackage = () => {
+  const stateNames = Object.fromEntries(
+    Object.entries(zipcodesStates.full).map(([name, code]) => [
+      code,
+      toStateName(name),
+    ])
+  );
+
+  return Object.values(zipcodes.codes)
+    .filter((zip) => zip.latitude && zip.longitude && stateNames[zip.state])
+    .map((zip) => ({
+      zip_code: zip.zip,
+      usps_city: zip.city,
+      stusps_code: zip.state,
+      ste_name: stateNames[zip.state],
+      geo_point_2d: { lat: zip.latitude, lon: zip.longitude },
+    }));
+};
+
+// Running totals used to average ZIP points into a single coordinate
+const addPoint = (entry, zip) => {
+  entry.latSum += zip.geo_point_2d.lat;
+  entry.lngSum += zip.geo_point_2d.lon;
+  entry.zipCount++;
+  return entry;
+};
+
+const toCoordinates = ({ latSum, lngSum, zipCount }) => ({
+  latitude: +(latSum / zipCount).toFixed(5),
+  longitude: +(lngSum / zipCount).toFixed(5),
+  zipCount,
+});
+
+async function transformPlaceData() {
+  try {
+    // Read an OpenDataSoft export when given one, the zipcodes package otherwise
+    const zipData = process.argv[2]
+      ? JSON.parse(await fs.readFile(process.argv[2], "utf8"))
+      : readZipcodesPackage();
+
+    const states = new Map();
+    const cities = new Map();
+    let skipped = 0;
+
+    for (const zip of zipData) {
+      if (!zip.geo_point_2d || !zip.stusps_code) {
+        skipped++;
+        continue;
+      }
+
+      const stateCode = zip.stusps_code.toUpperCase();
+      if (!states.has(stateCode)) {
+        states.set(stateCode, {
+          name: zip.ste_name,
+          latSum: 0,
+          lngSum: 0,
+          zipCount: 0,
+        });
+      }
+      addPoint(states.get(stateCode), zip);
+
+      if (!zip.usps_city) continue;
+
+      const cityKey = `${zip.usps_city.toLowerCase()}|${stateCode}`;
+      if (!cities.has(cityKey)) {
+        cities.set(cityKey, {
+          city: zip.usps_city,
+          state: stateCode,
+          latSum: 0,
+          lngSum: 0,
+          zipCount: 0,
+        });
+      }
+      addPoint(cities.get(cityKey), zip);
+    }
+
+    // Transform to required format
+    const transformedData = {
+      states: Object.fromEntries(
+        [...states.entries()].map(([code, state]) => [
+          code,
+          { name: state.name, ...toCoordinates(state) },
+        ])
+      ),
+      cities: [...cities.values()].map((city) => ({
+        city: city.city,
+        state: city.state,
+        ...toCoordinates(city),
+      })),
+    };
+
+    // Write the transformed data
+    await fs.writeFile(
+      path.join(__dirname, "../data/place_gazetteer_new.json"),
+      JSON.stringify(transformedData, null, 2)
+    );
+
+    console.log("Place gazetteer built successfully!");
+    console.log(`States: ${states.size}, cities: ${cities.size}`);
+    console.log(`ZIP records skipped (missing state or point): ${skipped}`);
+  } catch (error) {
+    console.error("Failed to build place gazetteer:", error);
+  }
+}
+
+transformPlaceData();
@@ -1,5 +1,12 @@
 // Google Places Crawler Actor Configuration
-export const getActorConfig = (searchQueries, state, city, maxResults) => ({
+// overrides replace individual settings below for one job (see utils/scrapeJobOptions.js)
+export const getActorConfig = (
+  searchQueries,
+  state,
+  city,
+  maxResults,
+  overrides = {}
+) => ({
   // Search Parameters
   searchStringsArray: searchQueries, // Array of search terms
   //locationQuery: "", // Free text location (e.g., "New York, USA").Takes precedence over other location params
@@ -60,4 +67,6 @@ export const getActorConfig = (searchQueries, state, city, maxResults) => ({
   // Additional Options
   //startUrls: [], // Direct Google Maps URLs (max 300 results per URL)
   //allPlacesNoSearchAction: "", // "all_places_no_search_ocr" or "all_places_no_search_mouse" to scrape all visible places
+
+  ...overrides,
 });
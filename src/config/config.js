@@ -21,14 +21,80 @@ logger.info("Configuration loaded successfully", {
   port: process.env.PORT || 3000,
 });
 
+// Unlike `Number(value) || fallback`, keeps an explicit 0 (e.g. to switch a ranking factor off)
+const numberFromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return !process.env[name] || !Number.isFinite(value) ? fallback : value;
+};
+
 export default {
   nodeEnv: process.env.NODE_ENV || "development",
   port: process.env.PORT || 3000,
   apify: {
     apiToken: process.env.APIFY_API_TOKEN,
+    // Public URL of POST /api/v1/scrape/webhook. With both set, scrape jobs start
+    // actor runs and Apify reports back there instead of the job awaiting them.
+    webhookUrl: process.env.APIFY_WEBHOOK_URL,
+    webhookSecret: process.env.APIFY_WEBHOOK_SECRET,
+    // Fixture of runs and datasets served instead of Apify's (see
+    // services/fixtureApifyClient.js). Ignored in production.
+    fixtureFile: process.env.APIFY_FIXTURE_FILE,
+    // How often a job checks whether the webhook has recorded its run
+    runPollMs: numberFromEnv("APIFY_RUN_POLL_MS", 30000),
+    // How long after a run finishes the job waits for the webhook before
+    // processing the run itself
+    webhookGraceMs: numberFromEnv("APIFY_WEBHOOK_GRACE_MS", 15 * 60 * 1000),
+    // How long a process may take to record a run it claimed before another
+    // one takes the run over
+    runClaimStaleMs: numberFromEnv("APIFY_RUN_CLAIM_STALE_MS", 30 * 60 * 1000),
   },
   supabase: {
     url: process.env.SUPABASE_URL,
     key: process.env.SUPABASE_KEY,
   },
+  searchCache: {
+    maxEntries: Number(process.env.SEARCH_CACHE_MAX_ENTRIES) || 500,
+    ttlSeconds: Number(process.env.SEARCH_CACHE_TTL_SECONDS) || 300,
+    // How long browsers may reuse a response before revalidating with If-None-Match
+    clientMaxAgeSeconds: 60,
+  },
+  ranking: {
+    // Relative weights of the relevance factors; they are normalised to sum to 1
+    weights: {
+      distance: numberFromEnv("RANKING_WEIGHT_DISTANCE", 0.35),
+      rating: numberFromEnv("RANKING_WEIGHT_RATING", 0.25),
+      reviews: numberFromEnv("RANKING_WEIGHT_REVIEWS", 0.1),
+      confirmed: numberFromEnv("RANKING_WEIGHT_CONFIRMED", 0.2),
+      confidence: numberFromEnv("RANKING_WEIGHT_CONFIDENCE", 0.1),
+    },
+    // Reviews needed before a rating counts at half weight
+    reviewSaturation: numberFromEnv("RANKING_REVIEW_SATURATION", 10),
+  },
+  analytics: {
+    // Key for hashing client IPs in search_events; set it so hashes survive restarts
+    ipHashSecret: process.env.SEARCH_IP_HASH_SECRET,
+  },
+  apifyBudget: {
+    // USD limits on Apify spend; 0 switches a limit off
+    monthlyUsd: numberFromEnv("APIFY_MONTHLY_BUDGET_USD", 100),
+    jobUsd: numberFromEnv("APIFY_JOB_BUDGET_USD", 25),
+    // Assumed cost of one search query in a state or city with no run history
+    defaultQueryCostUsd: numberFromEnv("APIFY_DEFAULT_QUERY_COST_USD", 1),
+    // apify_runs older than this don't count towards cost estimates
+    historyDays: 180,
+    // Each actor run is started with a charge cap of its projected cost times
+    // this, never more than what is left of the budgets
+    runChargeCapMultiplier: numberFromEnv("APIFY_RUN_CHARGE_CAP_MULTIPLIER", 2),
+    // How often a scrape job checks what its running actor runs have cost so far
+    monitorMs: numberFromEnv("APIFY_BUDGET_MONITOR_MS", 60000),
+  },
+  missingStores: {
+    // Consecutive whole-state scrapes a store can be absent from before it is hidden
+    hideAfterMisses: numberFromEnv("MISSING_STORE_HIDE_AFTER", 3),
+  },
+  zipLookup: {
+    // "local" = data/*_coordinates.json files first, "database" = zip_coordinates table first
+    primarySource:
+      process.env.ZIP_LOOKUP_PRIMARY === "database" ? "database" : "local",
+  },
 };
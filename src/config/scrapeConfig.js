@@ -1,54 +1,60 @@
+// States the scraper accepts, as the Google Places actor expects them
+export const US_STATE_NAMES = [
+  "Alabama",
+  "Alaska",
+  "Arizona",
+  "Arkansas",
+  "California",
+  "Colorado",
+  "Connecticut",
+  "Delaware",
+  "Florida",
+  "Georgia",
+  "Hawaii",
+  "Idaho",
+  "Illinois",
+  "Indiana",
+  "Iowa",
+  "Kansas",
+  "Kentucky",
+  "Louisiana",
+  "Maine",
+  "Maryland",
+  "Massachusetts",
+  "Michigan",
+  "Minnesota",
+  "Mississippi",
+  "Missouri",
+  "Montana",
+  "Nebraska",
+  "Nevada",
+  "New Hampshire",
+  "New Jersey",
+  "New Mexico",
+  "New York",
+  "North Carolina",
+  "North Dakota",
+  "Ohio",
+  "Oklahoma",
+  "Oregon",
+  "Pennsylvania",
+  "Rhode Island",
+  "South Carolina",
+  "South Dakota",
+  "Tennessee",
+  "Texas",
+  "Utah",
+  "Vermont",
+  "Virginia",
+  "Washington",
+  "West Virginia",
+  "Wisconsin",
+  "Wyoming",
+];
+
+// States scraped when POST /scrape/process is called without a body.
+// Empty so an accidental trigger can't start a nationwide run; Illinois is already scraped.
 const US_STATES = [];
-// Removed "Illinois" as already scraped
-// "Alabama",
-//   "Alaska",
-//   "Arizona",
-//   "Arkansas",
-//   "California",
-//   "Colorado",
-//   "Connecticut",
-//   "Delaware",
-//   "Florida",
-//   "Georgia",
-//   "Hawaii",
-//   "Idaho",
-//   "Indiana",
-//   "Iowa",
-//   "Kansas",
-//   "Kentucky",
-//   "Louisiana",
-//   "Maine",
-//   "Maryland",
-//   "Massachusetts",
-//   "Michigan",
-//   "Minnesota",
-//   "Mississippi",
-//   "Missouri",
-//   "Montana",
-// "Nebraska",
-//   "Nevada",
-//   "New Hampshire",
-//   "New Jersey",
-//   "New Mexico",
-//   "New York",
-//   "North Carolina",
-//   "North Dakota",
-//   "Ohio",
-//   "Oklahoma",
-//   "Oregon",
-//   "Pennsylvania",
-//   "Rhode Island",
-//   "South Carolina",
-//   "South Dakota",
-//   "Tennessee",
-//   "Texas",
-//   "Utah",
-//   "Vermont",
-//   "Virginia",
-//   "Washington",
-//   "West Virginia",
-//   "Wisconsin",
-//   "Wyoming",
 
 export const scrapeConfig = {
   searchQueries: [
@@ -56,6 +62,6 @@ export const scrapeConfig = {
     "stand-up electric scooter",
     "bicycle Repair",
   ],
-  states: US_STATES,
+  states: US_STATES, // Default states, overridden by the request body
   maxResults: 9999999, // Max results per search term. Use 9999999 for all available. <200 disables deeperCityScrape
 };
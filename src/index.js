@@ -6,6 +6,7 @@ import logger from "./utils/logger.js";
 import helmet from "helmet";
 import v1Router from "./routes/v1/index.js";
 import crypto from "crypto";
+import { loadPostalCodeIndexes } from "./utils/zipCoordinates.js";
 
 const filepath = "index.js";
 const app = express();
@@ -56,29 +57,41 @@ const allowedOrigins = [
 // Toggle this to temporarily allow no-origin requests in production
 const ALLOW_NO_ORIGIN = false;
 
-app.use(
-  cors({
-    origin: (origin, callback) => {
-      // Allow requests with no origin in development mode or when ALLOW_NO_ORIGIN is true
-      if (process.env.NODE_ENV === "development" || ALLOW_NO_ORIGIN) {
-        return callback(null, true);
-      }
-
-      // Production mode: require an origin
-      if (!origin || !allowedOrigins.includes(origin)) {
-        logger.warn("CORS blocked request from origin:", {
-          filepath,
-          origin: origin || "no origin",
-        });
-        return callback(new Error("CORS error"));
-      }
-      callback(null, true);
-    },
-    methods: ["GET", "POST", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "x-api-key"],
-    credentials: true,
-    optionsSuccessStatus: 200,
-  })
+// Server-to-server callbacks: no browser origin and no API key, the route
+// checks the request signature itself
+const WEBHOOK_PATHS = ["/api/v1/scrape/webhook"];
+
+// Matches the way Express routes: case-insensitive, with or without a trailing
+// slash. originalUrl, since req.path is relative inside mounted middleware.
+const isWebhookRequest = (req) =>
+  WEBHOOK_PATHS.includes(
+    req.originalUrl.split("?")[0].replace(/\/+$/, "").toLowerCase()
+  );
+
+const corsMiddleware = cors({
+  origin: (origin, callback) => {
+    // Allow requests with no origin in development mode or when ALLOW_NO_ORIGIN is true
+    if (process.env.NODE_ENV === "development" || ALLOW_NO_ORIGIN) {
+      return callback(null, true);
+    }
+
+    // Production mode: require an origin
+    if (!origin || !allowedOrigins.includes(origin)) {
+      logger.warn("CORS blocked request from origin:", {
+        filepath,
+        origin: origin || "no origin",
+      });
+      return callback(new Error("CORS error"));
+    }
+    callback(null, true);
+  },
+  methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "x-api-key", "Idempotency-Key"],
+  credentials: true,
+  optionsSuccessStatus: 200,
+});
+app.use((req, res, next) =>
+  isWebhookRequest(req) ? next() : corsMiddleware(req, res, next)
 );
 
 // Helper function to get the real client IP
@@ -159,9 +172,11 @@ app.use(
 );
 
 // API key validation middleware should come after rate limiting
+// The admin key is also accepted so admin tooling can use admin-only search options
 app.use("/api/v1/search", (req, res, next) => {
   const apiKey = req.headers["x-api-key"];
-  if (!apiKey || !validateApiKey(apiKey, "public")) {
+  req.isAdmin = Boolean(apiKey) && validateApiKey(apiKey, "admin");
+  if (!apiKey || (!req.isAdmin && !validateApiKey(apiKey, "public"))) {
     logger.warn("Invalid public API key", {
       filepath,
       ip: req.ip,
@@ -175,7 +190,18 @@ app.use("/api/v1/search", (req, res, next) => {
 });
 
 // Admin endpoints
-app.use(["/api/v1/scrape", "/api/v1/ai"], (req, res, next) => {
+const ADMIN_PATHS = [
+  "/api/v1/scrape",
+  "/api/v1/ai",
+  "/api/v1/analytics",
+  "/api/v1/jobs",
+  "/api/v1/store-rules",
+  "/api/v1/store-changes",
+  "/api/v1/missing-stores",
+];
+app.use(ADMIN_PATHS, (req, res, next) => {
+  if (isWebhookRequest(req)) return next();
+
   const apiKey = req.headers["x-api-key"];
   if (!apiKey || !validateApiKey(apiKey, "admin")) {
     logger.warn("Invalid admin API key attempt", {
@@ -229,6 +255,9 @@ const init = async () => {
       );
     }
 
+    // Load the local postal code indexes up front so the first searches don't pay for it
+    loadPostalCodeIndexes();
+
     app.listen(config.port, () => {
       logger.info(`Server running on port ${config.port}`, { filepath });
     });
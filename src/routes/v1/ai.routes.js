@@ -6,6 +6,17 @@ import {
 } from "../../services/supabaseServicesAI.js";
 import { claudeAPICall } from "../../services/claudeAPICall.js";
 import { formatStoreDataForAI } from "../../utils/formatStoreDataForAI.js";
+import {
+  completeJob,
+  failJob,
+  getJobSignal,
+  JOB_ERRORS,
+  markJobCancelled,
+  registerJobRunner,
+  saveJobCheckpoint,
+  startJob,
+  updateJobProgress,
+} from "../../services/jobRegistry.js";
 
 const filepath = "routes/v1/ai.routes.js";
 const router = Router();
@@ -20,6 +31,10 @@ const router = Router();
  *    - Tracks success/failure
  * 4. Writes successful batch results to database with retry mechanism
  *
+ * @param {string|null} [jobId=null] - Registry job to record progress on
+ * @param {Object|null} [checkpoint=null] - Checkpoint of an earlier attempt:
+ *   { afterPlaceId, batchIndex, processingDetails } as saved after its last
+ *   finished batch
  * @returns {Object} processingDetails - Contains statistics about the processing job
  */
 
@@ -60,8 +75,10 @@ const AI_CONFIG = {
   MAX_QAS: 100,
 };
 
-export async function runAIProcessing() {
-  const processingDetails = {
+export async function runAIProcessing(jobId = null, checkpoint = null) {
+  // Set by POST /jobs/:id/cancel; the loop stops before the next store
+  const signal = getJobSignal(jobId);
+  const processingDetails = checkpoint?.processingDetails || {
     startedAt: new Date().toISOString(),
     totalStores: 0,
     processedStores: 0,
@@ -73,18 +90,24 @@ export async function runAIProcessing() {
     logger.info("Starting AI processing job...", {
       filepath,
       mode: AI_PROCESSING_MODES.UNPROCESSED,
+      resumeAfterPlaceId: checkpoint?.afterPlaceId,
     });
 
     // Get paginated store fetcher
     const storeFetcher = await fetchStoresDb(AI_PROCESSING_MODES.UNPROCESSED);
-    let currentBatchIndex = 0;
+    // Checkpoints from before keyset paging only hold an offset into a set
+    // that has shrunk since, so they restart from the first store
+    let afterPlaceId = checkpoint?.afterPlaceId || null;
+    let currentBatchIndex = afterPlaceId ? checkpoint.batchIndex : 0;
     let hasMoreStores = true;
 
     // Process stores in batches
-    while (hasMoreStores) {
-      const { stores, hasMore } = await storeFetcher.fetchNextBatch(
-        currentBatchIndex
-      );
+    while (hasMoreStores && !signal?.aborted) {
+      const { stores, hasMore, lastPlaceId } =
+        await storeFetcher.fetchNextBatch(
+          afterPlaceId,
+          processingDetails.totalStores
+        );
       hasMoreStores = hasMore;
 
       if (!stores?.length) break;
@@ -118,6 +141,8 @@ export async function runAIProcessing() {
       const processedStores = [];
 
       for (const store of formattedStores) {
+        if (signal?.aborted) break;
+
         try {
           logger.info(`Processing Store: ${store.name}`, {
             filepath,
@@ -156,7 +181,7 @@ export async function runAIProcessing() {
             continue;
           }
 
-          const aiSummary = await claudeAPICall(store);
+          const aiSummary = await claudeAPICall(store, signal);
 
           if (!aiSummary?.summary_text || !aiSummary?.token_usage) {
             throw new Error("Invalid AI summary structure received");
@@ -177,6 +202,9 @@ export async function runAIProcessing() {
             },
           });
         } catch (error) {
+          // Cancelled mid-call: the store is left for a resumed job
+          if (signal?.aborted) break;
+
           processingDetails.failedStores.push({
             place_id: store.place_id,
             error: error.message,
@@ -203,7 +231,25 @@ export async function runAIProcessing() {
         processingDetails.failedStores.push(...failed);
       }
 
-      currentBatchIndex += storeFetcher.batchSize;
+      // A batch cut short by cancellation is fetched again on resume
+      if (!signal?.aborted) {
+        afterPlaceId = lastPlaceId;
+        currentBatchIndex++;
+      }
+
+      // Batches written so far are skipped when the job is resumed
+      await saveJobCheckpoint(jobId, {
+        afterPlaceId,
+        batchIndex: currentBatchIndex,
+        processingDetails,
+      });
+      await updateJobProgress(jobId, {
+        batchIndex: currentBatchIndex,
+        totalStores: processingDetails.totalStores,
+        storesProcessed: processingDetails.processedStores,
+        failures: processingDetails.failedStores.length,
+        skipped: processingDetails.skippedStores.length,
+      });
 
       // Force garbage collection between batches (if available)
       if (global.gc) {
@@ -212,6 +258,7 @@ export async function runAIProcessing() {
     }
 
     processingDetails.finishedAt = new Date().toISOString();
+    processingDetails.cancelled = Boolean(signal?.aborted);
 
     // Add final summary logging
     const successRate = (
@@ -263,30 +310,83 @@ export async function runAIProcessing() {
   }
 }
 
+// Runs a registered AI job to the end and records the outcome on it
+async function executeAIJob(jobId, checkpoint = null) {
+  try {
+    const processingDetails = await runAIProcessing(jobId, checkpoint);
+    if (processingDetails.cancelled) {
+      await markJobCancelled(jobId, processingDetails);
+    } else {
+      await completeJob(jobId, processingDetails);
+    }
+  } catch (error) {
+    logger.error("AI processing job failed:", error, { filepath, jobId });
+    // The response has already been sent, so the job record carries the error
+    await failJob(jobId, error);
+  }
+}
+
+// POST /jobs/:id/resume continues after the last checkpointed batch
+registerJobRunner("ai", ({ id, checkpoint }) => executeAIJob(id, checkpoint));
+
+const JOB_START_ERROR_STATUS = {
+  [JOB_ERRORS.IDEMPOTENCY_KEY]: 400,
+  [JOB_ERRORS.LOCKED]: 409,
+  [JOB_ERRORS.LOCK_UNAVAILABLE]: 503,
+};
+
 /**
  * Express route handler for triggering AI processing
  * Uses fire-and-forget pattern:
  * 1. Immediately responds to client
  * 2. Continues processing in background
  * 3. Logs any errors that occur during processing
+ * Only one AI job runs at a time, across all server processes, and a repeated
+ * Idempotency-Key header returns the job the first request started.
  */
 router.post("/process", async (req, res, next) => {
+  logger.info("Triggering new AI processing job...", { filepath });
+  let started;
   try {
-    logger.info("Triggering new AI processing job...", { filepath });
+    started = await startJob(
+      "ai",
+      { mode: AI_PROCESSING_MODES.UNPROCESSED },
+      req.get("Idempotency-Key") ?? null
+    );
+  } catch (error) {
+    logger.warn("AI processing job not started", {
+      filepath,
+      error: error.message,
+      runningJobId: error.jobId,
+    });
+    return res.status(JOB_START_ERROR_STATUS[error.message] || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.jobId && { jobId: error.jobId }),
+    });
+  }
 
-    // COMMENT OUT THE IMMEDIATE RESPONSE FOR TESTING
-    res.json({
+  const { id: jobId, created_at, status } = started.job;
+  if (started.existing) {
+    return res.json({
       success: true,
-      message: "AI processing job triggered successfully",
-      startedAt: new Date().toISOString(),
+      message: "AI processing job already triggered with this Idempotency-Key",
+      jobId,
+      status,
+      startedAt: created_at,
     });
-
-    // Continue processing in background
-    await runAIProcessing();
-  } catch (error) {
-    logger.error("AI processing job failed:", error, { filepath });
-    // Error is only logged since response has already been sent
   }
+
+  // COMMENT OUT THE IMMEDIATE RESPONSE FOR TESTING
+  res.json({
+    success: true,
+    message: "AI processing job triggered successfully",
+    jobId,
+    startedAt: created_at,
+  });
+
+  // Continue processing in background
+  await executeAIJob(jobId);
 });
 
 export default router;
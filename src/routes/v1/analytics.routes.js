@@ -0,0 +1,86 @@
+import { Router } from "express";
+import logger from "../../utils/logger.js";
+import {
+  getScrapeTargets,
+  getTopSearchedZips,
+  getZeroResultZips,
+} from "../../services/supabaseServicesAnalytics.js";
+
+const filepath = "routes/v1/analytics.routes.js";
+const router = Router();
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const REPORT_ERRORS = {
+  DAYS: `days must be an integer between 1 and ${MAX_DAYS}`,
+  LIMIT: `limit must be an integer between 1 and ${MAX_LIMIT}`,
+};
+
+const parseIntegerParam = (value, defaultValue, max, errorMessage) => {
+  const parsed = value === undefined ? defaultValue : Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > max) {
+    throw new Error(errorMessage);
+  }
+  return parsed;
+};
+
+// Parses the reporting window and row limit shared by every report
+const parseReportParams = ({ days, limit }) => ({
+  days: parseIntegerParam(days, DEFAULT_DAYS, MAX_DAYS, REPORT_ERRORS.DAYS),
+  limit: parseIntegerParam(
+    limit,
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    REPORT_ERRORS.LIMIT
+  ),
+});
+
+// Wraps a report so every endpoint validates and handles errors the same way
+const reportHandler = (name, runReport) => async (req, res) => {
+  let params;
+  try {
+    params = parseReportParams(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: { message: error.message } });
+  }
+
+  try {
+    const data = await runReport(params);
+
+    logger.info(`Analytics report served: ${name}`, { filepath, params });
+    res.json({ success: true, ...params, data });
+  } catch (error) {
+    logger.error(`Analytics report failed: ${name}`, {
+      filepath,
+      params,
+      error: error.message,
+    });
+
+    if (error.message === "Place search unavailable") {
+      return res.status(503).json({ error: { message: error.message } });
+    }
+    res.status(500).json({
+      error: { message: "Failed to build analytics report" },
+    });
+  }
+};
+
+// Most searched ZIP codes, with zero-result counts and nearest store distance
+router.get("/top-zips", reportHandler("top-zips", getTopSearchedZips));
+
+// ZIP codes where searches found nothing, with nearest store and city
+router.get(
+  "/zero-result-zips",
+  reportHandler("zero-result-zips", getZeroResultZips)
+);
+
+// Cities and states to scrape next, derived from zero-result ZIP codes
+router.get(
+  "/scrape-targets",
+  reportHandler("scrape-targets", getScrapeTargets)
+);
+
+export default router;
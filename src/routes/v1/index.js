@@ -2,11 +2,21 @@ import { Router } from "express";
 import scrapeRoutes from "./scrape.routes.js";
 import aiRoutes from "./ai.routes.js";
 import searchRoutes from "./search.routes.js";
+import analyticsRoutes from "./analytics.routes.js";
+import jobsRoutes from "./jobs.routes.js";
+import storeRulesRoutes from "./storeRules.routes.js";
+import storeChangesRoutes from "./storeChanges.routes.js";
+import missingStoresRoutes from "./missingStores.routes.js";
 
 const router = Router();
 
 router.use("/scrape", scrapeRoutes);
 router.use("/ai", aiRoutes);
 router.use("/search", searchRoutes);
+router.use("/analytics", analyticsRoutes);
+router.use("/jobs", jobsRoutes);
+router.use("/store-rules", storeRulesRoutes);
+router.use("/store-changes", storeChangesRoutes);
+router.use("/missing-stores", missingStoresRoutes);
 
 export default router;
@@ -0,0 +1,144 @@
+import { Router } from "express";
+import logger from "../../utils/logger.js";
+import {
+  cancelJob,
+  getJob,
+  JOB_ERRORS,
+  JOB_STATUSES,
+  JOB_TYPES,
+  listJobs,
+  resumeJob,
+} from "../../services/jobRegistry.js";
+
+const filepath = "routes/v1/jobs.routes.js";
+const router = Router();
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Recent scrape and AI jobs, optionally filtered by type and status
+router.get("/", async (req, res) => {
+  const { type, status, limit } = req.query;
+
+  if (type !== undefined && !JOB_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: { message: `type must be one of: ${JOB_TYPES.join(", ")}` },
+    });
+  }
+  if (status !== undefined && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: { message: `status must be one of: ${JOB_STATUSES.join(", ")}` },
+    });
+  }
+
+  const parsedLimit = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+  if (
+    !Number.isInteger(parsedLimit) ||
+    parsedLimit < 1 ||
+    parsedLimit > MAX_LIMIT
+  ) {
+    return res.status(400).json({
+      error: { message: `limit must be an integer between 1 and ${MAX_LIMIT}` },
+    });
+  }
+
+  try {
+    const jobs = await listJobs({ type, status, limit: parsedLimit });
+    res.json({ success: true, count: jobs.length, jobs });
+  } catch (error) {
+    logger.error("Failed to list jobs:", error, { filepath });
+    res.status(500).json({ error: { message: "Failed to list jobs" } });
+  }
+});
+
+// Status, progress and results of a single job
+router.get("/:id", async (req, res) => {
+  const { id } = req.params;
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: { message: "Invalid job ID" } });
+  }
+
+  try {
+    const job = await getJob(id);
+    if (!job) {
+      return res.status(404).json({ error: { message: "Job not found" } });
+    }
+
+    res.json({ success: true, job });
+  } catch (error) {
+    logger.error("Failed to fetch job:", error, { filepath, jobId: id });
+    res.status(500).json({ error: { message: "Failed to fetch job" } });
+  }
+});
+
+const JOB_ERROR_STATUS = {
+  [JOB_ERRORS.NOT_FOUND]: 404,
+  [JOB_ERRORS.RUNNING]: 409,
+  [JOB_ERRORS.COMPLETED]: 409,
+  [JOB_ERRORS.NOT_RESUMABLE]: 400,
+  [JOB_ERRORS.NOT_RUNNING]: 409,
+  [JOB_ERRORS.REMOTE]: 409,
+  [JOB_ERRORS.LOCKED]: 409,
+  [JOB_ERRORS.LOCK_UNAVAILABLE]: 503,
+};
+
+// Continues a failed or interrupted job from its last checkpoint, skipping the
+// states and AI batches it already finished
+router.post("/:id/resume", async (req, res) => {
+  const { id } = req.params;
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: { message: "Invalid job ID" } });
+  }
+
+  try {
+    const job = await resumeJob(id);
+    res.json({ success: true, message: "Job resumed", jobId: id, job });
+  } catch (error) {
+    const status = JOB_ERROR_STATUS[error.message];
+    if (status) {
+      return res.status(status).json({ error: { message: error.message } });
+    }
+
+    logger.error("Failed to resume job:", error, { filepath, jobId: id });
+    res.status(500).json({ error: { message: "Failed to resume job" } });
+  }
+});
+
+// Stops a running job. The response comes back while the job winds down: it
+// aborts its Apify runs or finishes the current AI store, writes what it has,
+// and then shows status "cancelled".
+router.post("/:id/cancel", async (req, res) => {
+  const { id } = req.params;
+
+  if (!UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: { message: "Invalid job ID" } });
+  }
+
+  try {
+    const job = await cancelJob(id);
+    res.json({
+      success: true,
+      message:
+        job.status === "cancelled"
+          ? "Job cancelled"
+          : "Job cancellation requested",
+      jobId: id,
+      job,
+    });
+  } catch (error) {
+    const status = JOB_ERROR_STATUS[error.message];
+    if (status) {
+      return res.status(status).json({ error: { message: error.message } });
+    }
+
+    logger.error("Failed to cancel job:", error, { filepath, jobId: id });
+    res.status(500).json({ error: { message: "Failed to cancel job" } });
+  }
+});
+
+export default router;
@@ -0,0 +1,76 @@
+import { Router } from "express";
+import logger from "../../utils/logger.js";
+import {
+  confirmMissingStore,
+  listMissingStores,
+  MISSING_STORE_ERRORS,
+  restoreMissingStore,
+} from "../../services/supabaseServicesMissingStores.js";
+
+const filepath = "routes/v1/missingStores.routes.js";
+const router = Router();
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Stores absent from recent whole-state scrapes, for manual review.
+// ?hidden=true lists only the ones already hidden from search.
+router.get("/", async (req, res) => {
+  const { state, hidden, limit } = req.query;
+
+  const parsedLimit = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+  if (
+    !Number.isInteger(parsedLimit) ||
+    parsedLimit < 1 ||
+    parsedLimit > MAX_LIMIT
+  ) {
+    return res.status(400).json({
+      error: { message: `limit must be an integer between 1 and ${MAX_LIMIT}` },
+    });
+  }
+
+  try {
+    const stores = await listMissingStores({
+      state,
+      hiddenOnly: hidden === "true",
+      limit: parsedLimit,
+    });
+    res.json({
+      success: true,
+      count: stores.length,
+      hidden: stores.filter((store) => store.is_hidden).length,
+      stores,
+    });
+  } catch (error) {
+    logger.error("Failed to list missing stores:", error, { filepath });
+    res
+      .status(500)
+      .json({ error: { message: "Failed to list missing stores" } });
+  }
+});
+
+const reviewHandler = (action, review) => async (req, res) => {
+  try {
+    const store = await review(req.params.placeId);
+    res.json({ success: true, store });
+  } catch (error) {
+    if (error.message === MISSING_STORE_ERRORS.NOT_FOUND) {
+      return res.status(404).json({ error: { message: error.message } });
+    }
+    logger.error(`Failed to ${action} missing store:`, error, {
+      filepath,
+      placeId: req.params.placeId,
+    });
+    res
+      .status(500)
+      .json({ error: { message: `Failed to ${action} missing store` } });
+  }
+};
+
+// The store really closed: keep it hidden and mark it permanently closed
+router.post("/:placeId/confirm", reviewHandler("confirm", confirmMissingStore));
+
+// False alarm: show the store again and reset its miss count
+router.post("/:placeId/restore", reviewHandler("restore", restoreMissingStore));
+
+export default router;
@@ -1,12 +1,49 @@
 import { Router } from "express";
-import { crawlerGooglePlaces } from "../../services/apifyService.js";
+import { setTimeout as sleep } from "timers/promises";
+import config from "../../config/config.js";
 import {
+  abortActorRun,
+  addRunWebhook,
+  collectRunResults,
+  crawlerGooglePlaces,
+  getActorRun,
+  startGooglePlacesRun,
+} from "../../services/apifyService.js";
+import {
+  claimApifyRun,
+  getApifyRunDetails,
   writeApifyRunDetails,
   writeStores,
 } from "../../services/supabaseServicesScrape.js";
 import logger from "../../utils/logger.js";
-import { scrapeConfig } from "../../config/scrapeConfig.js";
+import {
+  APIFY_WEBHOOK_ERRORS,
+  APIFY_WEBHOOK_SIGNATURE_HEADER,
+  buildRunWebhook,
+  verifyRunWebhook,
+} from "../../utils/apifyWebhook.js";
+import { parseScrapeJobOptions } from "../../utils/scrapeJobOptions.js";
 import { fetchAndTransformDataset } from "../../services/apifyService.js";
+import { markMissingStores } from "../../services/supabaseServicesMissingStores.js";
+import {
+  APIFY_BUDGET_ERRORS,
+  assertScrapeBudget,
+  checkBudget,
+  createBudgetGuard,
+  estimateScrapeCost,
+  getSpendReport,
+} from "../../services/supabaseServicesApifyBudget.js";
+import {
+  completeJob,
+  failJob,
+  getJobSignal,
+  JOB_ERRORS,
+  markJobCancelled,
+  registerJobRunner,
+  saveJobCheckpoint,
+  startJob,
+  updateJobProgress,
+} from "../../services/jobRegistry.js";
 
 const filepath = "routes/v1/scrape.routes.js";
 const router = Router();
@@ -15,53 +52,275 @@ const router = Router();
 const BATCH_SIZE = 25;
 const BATCH_DELAY_MS = 5000; // Add delay between batches
 
-// Helper function to process a single state
-async function processSingleState(state) {
+// Only a complete whole-state run shows which of the state's stores are gone.
+// City runs cover part of the state, and a search query that reached the
+// per-query cap (maxResults) may have been cut short.
+const canDetectMissingStores = ({ city, job, runDetails, seenPlaceIds }) =>
+  !city &&
+  runDetails.status === "SUCCEEDED" &&
+  seenPlaceIds.length > 0 &&
+  Object.values(runDetails.resultsPerQuery).every(
+    (count) => count < job.maxResults
+  );
+
+// Claims a finished run in apify_runs, writes its stores, flags missing stores
+// and records the results on the claimed row. Shared by awaited runs and the
+// webhook. Returns the apify_runs row, or null when another process has
+// claimed the run.
+async function recordRunResults(
+  { stores, runDetails, validationFailures, seenPlaceIds },
+  { state, city },
+  job
+) {
+  if (!(await claimApifyRun(runDetails))) {
+    logger.info(`Apify run for ${state} is claimed elsewhere, skipping it`, {
+      filepath,
+      runId: runDetails.runId,
+    });
+    return null;
+  }
+
+  // Store the results
   try {
-    logger.info(`Starting scrape for state: ${state}`, { filepath });
+    const storeResults = await writeStores(stores, {
+      type: "scrape",
+      id: runDetails.runId,
+    });
+    runDetails.store_processing_results = {
+      ...storeResults,
+      validationFailures,
+    };
 
-    const { stores, runDetails, validationFailures } =
-      await crawlerGooglePlaces(
-        scrapeConfig.searchQueries,
-        state,
-        "",
-        scrapeConfig.maxResults
-      );
+    // Every place Google returned was seen, including the ones that failed
+    // validation, were excluded by a store rule or failed to write
+    if (canDetectMissingStores({ city, job, runDetails, seenPlaceIds })) {
+      try {
+        runDetails.store_processing_results.missingStores =
+          await markMissingStores(state, seenPlaceIds);
+      } catch (missingError) {
+        runDetails.store_processing_results.missingStores = {
+          error: missingError.message,
+        };
+      }
+    }
+  } catch (storeError) {
+    logger.error(`Failed to write stores for ${state}:`, storeError, {
+      filepath,
+    });
+    runDetails.store_processing_results = {
+      error: storeError.message,
+    };
+  }
+
+  const recorded = await writeApifyRunDetails(runDetails);
 
-    // Store the results
+  logger.info(`Scrape run recorded for ${state}`, {
+    filepath,
+    runId: runDetails.runId,
+    status: runDetails.status,
+    storesProcessed: stores.length,
+  });
+
+  return recorded;
+}
+
+const webhooksEnabled = () =>
+  Boolean(config.apify.webhookUrl && config.apify.webhookSecret);
+
+const searchParamsOf = (context) => ({
+  queries: context.searchQueries,
+  state: context.state,
+  city: context.city,
+  maxResults: context.maxResults,
+  actorOverrides: context.actorOverrides,
+});
+
+// Runs being recorded by this process, so a webhook Apify retries while the
+// first delivery is still being processed waits for that one. Other processes
+// are kept off the run by its claim in apify_runs.
+const runsInProgress = new Map();
+
+// Records a finished run once, whether the webhook or the waiting job gets here
+// first. Resolves to null while another process is recording it.
+function processFinishedRun(run, context) {
+  if (!runsInProgress.has(run.id)) {
+    const processing = (async () => {
+      const recorded = await getApifyRunDetails(run.id);
+      if (recorded) return recorded;
+
+      const results = await collectRunResults(run, searchParamsOf(context));
+      results.runDetails.jobId = context.jobId ?? null;
+      return recordRunResults(results, context, context);
+    })().finally(() => runsInProgress.delete(run.id));
+    runsInProgress.set(run.id, processing);
+  }
+  return runsInProgress.get(run.id);
+}
+
+// Starts the target's actor run with a webhook, or picks up the run an earlier
+// attempt started, and polls apify_runs until the webhook has recorded it.
+// A run whose webhook hasn't arrived webhookGraceMs after it finished is
+// processed here instead.
+async function waitForWebhookRun(
+  { state, city },
+  job,
+  { signal, jobId, runId, onRunStarted, chargeCapUsd }
+) {
+  const context = {
+    jobId,
+    state,
+    city,
+    searchQueries: job.searchQueries,
+    maxResults: job.maxResults,
+    actorOverrides: job.actorOverrides,
+  };
+
+  if (!runId) {
+    ({ id: runId } = await startGooglePlacesRun(searchParamsOf(context), {
+      maxTotalChargeUsd: chargeCapUsd,
+    }));
+    await onRunStarted?.(runId);
+
+    // The webhook is added once the run exists, so its run ID can be signed.
+    // Without it the run is still recorded by the polling below.
     try {
-      const storeResults = await writeStores(stores);
-      runDetails.store_processing_results = {
-        ...storeResults,
-        validationFailures,
-      };
-    } catch (storeError) {
-      logger.error(`Failed to write stores for ${state}:`, storeError, {
+      await addRunWebhook(
+        runId,
+        buildRunWebhook({
+          url: config.apify.webhookUrl,
+          secret: config.apify.webhookSecret,
+          runId,
+          context,
+        })
+      );
+    } catch (error) {
+      logger.warn("Failed to add webhook to actor run", {
         filepath,
+        runId,
+        error: error.message,
       });
-      runDetails.store_processing_results = {
-        error: storeError.message,
-      };
     }
+  }
+
+  // The webhook still records what an aborted run found
+  const abortRun = () => {
+    logger.info(`Aborting actor run for ${state}`, { filepath, runId, city });
+    abortActorRun(runId);
+  };
+  if (signal?.aborted) abortRun();
+  signal?.addEventListener("abort", abortRun, { once: true });
 
-    await writeApifyRunDetails(runDetails);
+  try {
+    for (;;) {
+      const recorded = await getApifyRunDetails(runId);
+      if (recorded) return recorded;
+
+      const run = await getActorRun(runId);
+      if (!run) throw new Error(`Actor run ${runId} not found`);
+      if (
+        run.finishedAt &&
+        Date.now() - new Date(run.finishedAt) >= config.apify.webhookGraceMs
+      ) {
+        logger.warn("No webhook for finished actor run, recording it here", {
+          filepath,
+          runId,
+          state,
+          city,
+        });
+        const processed = await processFinishedRun(run, context);
+        if (processed) return processed;
+      }
+
+      await sleep(config.apify.runPollMs);
+    }
+  } finally {
+    signal?.removeEventListener("abort", abortRun);
+  }
+}
+
+// Helper function to process a single state, or one city within it.
+// A cancelled job aborts the actor run; the stores it found so far are still written.
+// costUsd is what Apify charged for the run, counted against the job's budget.
+// With webhooks configured, runId resumes waiting on a run an earlier attempt
+// started. onRunStarted is told the ID of a newly started run, which Apify
+// stops charging at chargeCapUsd.
+async function processSingleState(
+  { state, city },
+  job,
+  {
+    signal = null,
+    jobId = null,
+    runId = null,
+    onRunStarted = null,
+    chargeCapUsd = null,
+  } = {}
+) {
+  try {
+    logger.info(`Starting scrape for state: ${state}`, { filepath, city });
+
+    let outcome;
+    if (webhooksEnabled()) {
+      const recorded = await waitForWebhookRun({ state, city }, job, {
+        signal,
+        jobId,
+        runId,
+        onRunStarted,
+        chargeCapUsd,
+      });
+      outcome = {
+        runId: recorded.run_id,
+        status: recorded.status,
+        storesProcessed: recorded.store_processing_results?.totalProcessed ?? 0,
+        costUsd: recorded.usage?.totalCostUsd ?? 0,
+      };
+    } else {
+      const results = await crawlerGooglePlaces(
+        job.searchQueries,
+        state,
+        city,
+        job.maxResults,
+        job.actorOverrides,
+        signal,
+        { maxTotalChargeUsd: chargeCapUsd, onRunStarted }
+      );
+      results.runDetails.jobId = jobId;
+      await recordRunResults(results, { state, city }, job);
+      outcome = {
+        runId: results.runDetails.runId,
+        status: results.runDetails.status,
+        storesProcessed: results.stores.length,
+        costUsd: results.runDetails.usage.totalCostUsd ?? 0,
+      };
+    }
 
     logger.info(`Scrape job completed for ${state}`, {
       filepath,
-      runId: runDetails.runId,
-      storesProcessed: stores.length,
+      ...outcome,
     });
 
+    const { status, ...result } = outcome;
+    // Partial results don't count as done, so a resumed job scrapes it again
+    if (status === "ABORTED") {
+      return {
+        state,
+        ...(city && { city }),
+        success: false,
+        error: "Actor run aborted",
+        ...result,
+      };
+    }
+
     return {
       state,
+      ...(city && { city }),
       success: true,
-      storesProcessed: stores.length,
-      runId: runDetails.runId,
+      ...result,
     };
   } catch (error) {
     logger.error(`Scrape job failed for ${state}:`, error, { filepath });
     return {
       state,
+      ...(city && { city }),
       success: false,
       error: error.message,
       storesProcessed: 0,
@@ -69,47 +328,241 @@ async function processSingleState(state) {
   }
 }
 
-// Modified runScrape function with improved batch handling
-export async function runScrape() {
+const targetKey = ({ state, city }) => `${state}|${city || ""}`;
+
+// Polls what the job's running actor runs have cost so far, every
+// config.apifyBudget.monitorMs, and calls onExceeded once they are set to
+// overrun a budget. Returns a function that stops watching.
+function watchRunningSpend(guard, onExceeded) {
+  let checking = false;
+  let stopped = false;
+  const timer = setInterval(async () => {
+    if (checking || stopped) return;
+    checking = true;
+    try {
+      for (const { key, runId } of guard.runningRuns()) {
+        const run = await getActorRun(runId);
+        if (run) guard.updateUsage(key, run.usageTotalUsd);
+      }
+      const budget = await guard.overrun();
+      if (budget && !stopped) {
+        stopped = true;
+        onExceeded(budget);
+      }
+    } catch (error) {
+      logger.warn("Failed to check running Apify spend", {
+        filepath,
+        error: error.message,
+      });
+    } finally {
+      checking = false;
+    }
+  }, config.apifyBudget.monitorMs);
+
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+  };
+}
+
+/**
+ * Runs a scrape job in batches of actor runs. Each successful target is
+ * checkpointed as it finishes, so a resumed job doesn't pay Apify for it again.
+ * Each target is checked against the Apify budgets just before its run starts,
+ * and the run is started with a charge cap. The job stops starting runs when
+ * the next would overrun a budget, and aborts the running ones when what they
+ * cost so far sets them to overrun it.
+ * @param {Object} job - Output of parseScrapeJobOptions
+ * @param {string|null} [jobId=null] - Registry job to record progress on
+ * @param {Object|null} [checkpoint=null] - Checkpoint of an earlier attempt
+ * @param {Array<Object>} checkpoint.completedTargets - processSingleState results
+ * @param {Object} [checkpoint.startedRuns] - Apify run ID by target key of runs
+ *   started with a webhook but not recorded yet; a resumed job waits for them
+ *   rather than starting them again
+ */
+export async function runScrape(job, jobId = null, checkpoint = null) {
+  const signal = getJobSignal(jobId);
   try {
-    logger.info("Starting batched scrape jobs...", { filepath });
-    const results = [];
-    const totalBatches = Math.ceil(scrapeConfig.states.length / BATCH_SIZE);
+    const completedTargets = [...(checkpoint?.completedTargets || [])];
+    const startedRuns = { ...(checkpoint?.startedRuns || {}) };
+    const completedKeys = new Set(completedTargets.map(targetKey));
+    const targets = job.targets.filter(
+      (target) => !completedKeys.has(targetKey(target))
+    );
+
+    logger.info("Starting batched scrape jobs...", {
+      filepath,
+      targets: targets.length,
+      skippedTargets: job.targets.length - targets.length,
+      searchQueries: job.searchQueries,
+      maxResults: job.maxResults,
+      actorOverrides: job.actorOverrides,
+    });
+
+    // Targets finished by an earlier attempt count as already succeeded
+    const summaryTargets = [
+      ...completedTargets.map(({ state, city }) => ({ state, city })),
+      ...targets,
+    ];
+    const results = completedTargets.map((value) => ({
+      status: "fulfilled",
+      value,
+    }));
+    const totalBatches = Math.ceil(targets.length / BATCH_SIZE);
     const startTime = new Date();
+    const progress = {
+      batchIndex: 0,
+      totalBatches,
+      targetsCompleted: completedTargets.length,
+      totalTargets: job.targets.length,
+      storesProcessed: completedTargets.reduce(
+        (sum, result) => sum + result.storesProcessed,
+        0
+      ),
+      costUsd: completedTargets.reduce(
+        (sum, result) => sum + (result.costUsd || 0),
+        0
+      ),
+      failures: 0,
+    };
+    let budgetExceeded = null;
+    await updateJobProgress(jobId, progress);
+
+    // Aborts the job's running actor runs when its spend passes a budget
+    const budgetAbort = new AbortController();
+    const runSignal = signal
+      ? AbortSignal.any([signal, budgetAbort.signal])
+      : budgetAbort.signal;
+    const guard = await createBudgetGuard(job, progress.costUsd);
+    const stopWatchingSpend = guard
+      ? watchRunningSpend(guard, (budget) => {
+          logger.warn("Scrape job over Apify budget, aborting running runs", {
+            filepath,
+            jobId,
+            ...budget,
+          });
+          budgetExceeded = budget;
+          budgetAbort.abort();
+        })
+      : () => {};
 
-    for (let i = 0; i < scrapeConfig.states.length; i += BATCH_SIZE) {
-      const batchNumber = Math.floor(i / BATCH_SIZE) + 1;
-      const stateBatch = scrapeConfig.states.slice(i, i + BATCH_SIZE);
+    try {
+      for (let i = 0; i < targets.length; i += BATCH_SIZE) {
+        if (signal?.aborted) {
+          logger.info("Scrape job cancelled, skipping remaining targets", {
+            filepath,
+            jobId,
+            remainingTargets: targets.length - i,
+          });
+          break;
+        }
 
-      logger.info(`Processing batch ${batchNumber}/${totalBatches}`, {
-        filepath,
-        states: stateBatch,
-        remainingStates: scrapeConfig.states.length - (i + BATCH_SIZE),
-      });
+        const batchNumber = Math.floor(i / BATCH_SIZE) + 1;
+        const targetBatch = targets.slice(i, i + BATCH_SIZE);
+
+        logger.info(`Processing batch ${batchNumber}/${totalBatches}`, {
+          filepath,
+          targets: targetBatch,
+          remainingTargets: targets.length - (i + BATCH_SIZE),
+        });
+
+        // Each run is checked against the budget just before it starts, with
+        // the runs already going counted at their projected cost
+        const batchPromises = [];
+        for (const [index, target] of targetBatch.entries()) {
+          const key = targetKey(target);
+          let chargeCapUsd = null;
+          if (guard && !budgetExceeded) {
+            const budget = await guard.reserve(key, target, {
+              force: Boolean(startedRuns[key]),
+            });
+            if (budget.exceeded) budgetExceeded = budget;
+            chargeCapUsd = budget.chargeCapUsd;
+            if (startedRuns[key]) guard.track(key, startedRuns[key]);
+          }
+          if (budgetExceeded) {
+            logger.warn(
+              "Scrape job over Apify budget, skipping remaining targets",
+              {
+                filepath,
+                jobId,
+                remainingTargets: targets.length - (i + index),
+                ...budgetExceeded,
+              }
+            );
+            break;
+          }
+
+          batchPromises.push(
+            (async () => {
+              const result = await processSingleState(target, job, {
+                signal: runSignal,
+                jobId,
+                runId: startedRuns[key],
+                chargeCapUsd,
+                onRunStarted: (runId) => {
+                  guard?.track(key, runId);
+                  if (!webhooksEnabled()) return;
+                  startedRuns[key] = runId;
+                  return saveJobCheckpoint(jobId, {
+                    completedTargets,
+                    startedRuns,
+                  });
+                },
+              });
+              guard?.settle(key, result.costUsd);
+              if (result.success) completedTargets.push(result);
+              // A result with a runId was recorded; without one the run may still be going
+              if (result.runId) {
+                delete startedRuns[key];
+                await saveJobCheckpoint(jobId, {
+                  completedTargets,
+                  startedRuns,
+                });
+              }
+              return result;
+            })()
+          );
+        }
+        const batchResults = await Promise.allSettled(batchPromises);
+        results.push(...batchResults);
+
+        progress.batchIndex = batchNumber;
+        for (const result of batchResults) {
+          if (result.status === "fulfilled" && result.value.success) {
+            progress.targetsCompleted++;
+            progress.storesProcessed += result.value.storesProcessed;
+          } else {
+            progress.failures++;
+          }
+          // Failed and aborted runs are billed too
+          progress.costUsd += result.value?.costUsd || 0;
+        }
+        await updateJobProgress(jobId, progress);
 
-      const batchPromises = stateBatch.map((state) =>
-        processSingleState(state)
-      );
-      const batchResults = await Promise.allSettled(batchPromises);
-      results.push(...batchResults);
+        if (budgetExceeded) break;
 
-      // Add delay between batches
-      if (batchNumber < totalBatches) {
-        await new Promise((resolve) => setTimeout(resolve, BATCH_DELAY_MS));
+        // Add delay between batches
+        if (batchNumber < totalBatches) {
+          await new Promise((resolve) => setTimeout(resolve, BATCH_DELAY_MS));
+        }
       }
+    } finally {
+      stopWatchingSpend();
     }
 
     // Enhanced summary with more details
     const summary = results.reduce(
       (acc, result, index) => {
-        const state = scrapeConfig.states[index];
+        const { state, city } = summaryTargets[index];
         if (result.status === "fulfilled" && result.value.success) {
-          acc.successful.push(state);
+          acc.successful.push(city ? `${city}, ${state}` : state);
           acc.totalStoresProcessed += result.value.storesProcessed;
           acc.runIds.push(result.value.runId);
         } else {
           acc.failed.push({
             state,
+            ...(city && { city }),
             error:
               result.status === "rejected" ? result.reason : result.value.error,
           });
@@ -124,6 +577,9 @@ export async function runScrape() {
         startTime: startTime,
         endTime: new Date(),
         totalDurationMs: 0,
+        cancelled: Boolean(signal?.aborted),
+        costUsd: progress.costUsd,
+        budgetExceeded,
       }
     );
 
@@ -145,23 +601,155 @@ export async function runScrape() {
   }
 }
 
-// Simplified route handler that calls the extracted function
-router.post("/process", async (req, res, next) => {
+// Runs a registered scrape job to the end and records the outcome on it
+async function executeScrapeJob(jobId, job, checkpoint = null) {
   try {
-    logger.info("Triggering new live scrape job...", { filepath });
+    const summary = await runScrape(job, jobId, checkpoint);
+    if (summary.cancelled) {
+      await markJobCancelled(jobId, summary);
+    } else if (summary.budgetExceeded) {
+      // Failed rather than completed, so it can be resumed once there is budget
+      await failJob(jobId, new Error(summary.budgetExceeded.exceeded), summary);
+    } else {
+      await completeJob(jobId, summary);
+    }
+  } catch (error) {
+    logger.error("Scrape job failed:", error, { filepath, jobId });
+    // Since we already sent the response, the job record carries the error
+    await failJob(jobId, error);
+  }
+}
 
-    // Send immediate response
-    res.json({
+// POST /jobs/:id/resume picks up from the targets already checkpointed
+registerJobRunner("scrape", ({ id, params, checkpoint }) =>
+  executeScrapeJob(id, params, checkpoint)
+);
+
+const JOB_START_ERROR_STATUS = {
+  [JOB_ERRORS.IDEMPOTENCY_KEY]: 400,
+  [JOB_ERRORS.LOCKED]: 409,
+  [JOB_ERRORS.LOCK_UNAVAILABLE]: 503,
+  [APIFY_BUDGET_ERRORS.JOB]: 402,
+  [APIFY_BUDGET_ERRORS.MONTHLY]: 402,
+  [APIFY_BUDGET_ERRORS.UNAVAILABLE]: 503,
+};
+
+// Registers a scrape job, replies with its ID and runs it in the background.
+// Only one scrape runs at a time; a repeated Idempotency-Key gets the first job back.
+// A job whose projected Apify cost is over budget is refused.
+async function startScrapeJob(req, res, job, message) {
+  let started;
+  try {
+    started = await startJob(
+      "scrape",
+      job,
+      req.get("Idempotency-Key") ?? null,
+      () => assertScrapeBudget(job)
+    );
+  } catch (error) {
+    logger.warn("Scrape job not started", {
+      filepath,
+      error: error.message,
+      runningJobId: error.jobId,
+    });
+    return res.status(JOB_START_ERROR_STATUS[error.message] || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.jobId && { jobId: error.jobId }),
+      ...(error.budget && { budget: error.budget }),
+    });
+  }
+
+  const { id: jobId, created_at, status } = started.job;
+  if (started.existing) {
+    return res.json({
       success: true,
-      message: "Scrape job triggered successfully",
-      startedAt: new Date().toISOString(),
+      message: "Scrape job already triggered with this Idempotency-Key",
+      jobId,
+      status,
+      job: started.job.params,
+      startedAt: created_at,
     });
+  }
+
+  res.json({
+    success: true,
+    message,
+    jobId,
+    job,
+    startedAt: created_at,
+  });
 
-    // Run the scrape job
-    await runScrape();
+  await executeScrapeJob(jobId, job);
+}
+
+// Triggers a scrape job. The JSON body picks states/cities, search queries,
+// maxResults, actor overrides and budgetUsd; anything omitted comes from
+// scrapeConfig and config.apifyBudget.
+router.post("/process", async (req, res, next) => {
+  let job;
+  try {
+    job = parseScrapeJobOptions(req.body);
   } catch (error) {
-    logger.error("Scrape job failed:", error, { filepath });
-    // Since we already sent the response, we just log the error
+    logger.warn("Invalid scrape job request", {
+      filepath,
+      error: error.message,
+    });
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  logger.info("Triggering new live scrape job...", { filepath });
+  await startScrapeJob(req, res, job, "Scrape job triggered successfully");
+});
+
+// Projected Apify cost of a /process body and how it fits the budgets,
+// without starting anything
+router.post("/estimate", async (req, res) => {
+  let job;
+  try {
+    job = parseScrapeJobOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const [estimate, budget] = await Promise.all([
+      estimateScrapeCost(job),
+      checkBudget(job, job.targets),
+    ]);
+    res.json({ success: true, ...estimate, budget });
+  } catch (error) {
+    logger.error("Failed to estimate scrape cost:", error, { filepath });
+    res
+      .status(503)
+      .json({ success: false, error: APIFY_BUDGET_ERRORS.UNAVAILABLE });
+  }
+});
+
+const DEFAULT_SPEND_MONTHS = 3;
+const MAX_SPEND_MONTHS = 24;
+
+// Apify spend by month, state and job, with this month's budget
+router.get("/spend", async (req, res) => {
+  const months =
+    req.query.months === undefined
+      ? DEFAULT_SPEND_MONTHS
+      : Number(req.query.months);
+  if (!Number.isInteger(months) || months < 1 || months > MAX_SPEND_MONTHS) {
+    return res.status(400).json({
+      success: false,
+      error: `months must be an integer between 1 and ${MAX_SPEND_MONTHS}`,
+    });
+  }
+
+  try {
+    const report = await getSpendReport({ months });
+    res.json({ success: true, months, ...report });
+  } catch (error) {
+    logger.error("Failed to build Apify spend report:", error, { filepath });
+    res
+      .status(500)
+      .json({ success: false, error: "Failed to build Apify spend report" });
   }
 });
 
@@ -183,7 +771,10 @@ async function processSingleDataset(datasetId) {
       };
     }
 
-    const results = await writeStores(stores);
+    const results = await writeStores(stores, {
+      type: "dataset",
+      id: datasetId,
+    });
 
     return {
       success: true,
@@ -206,6 +797,98 @@ async function processSingleDataset(datasetId) {
   }
 }
 
+// Apify calls this when a run started by a scrape job finishes (see
+// utils/apifyWebhook.js). Exempt from the admin API key; the signature stands
+// in for it. A verified finished run gets 202 and is recorded in the
+// background; errors before that make Apify retry the delivery.
+router.post("/webhook", async (req, res) => {
+  if (!webhooksEnabled()) {
+    return res
+      .status(404)
+      .json({ success: false, error: "Apify webhooks are not configured" });
+  }
+
+  let webhook;
+  try {
+    webhook = verifyRunWebhook(
+      req.body,
+      req.get(APIFY_WEBHOOK_SIGNATURE_HEADER),
+      config.apify.webhookSecret
+    );
+  } catch (error) {
+    logger.warn("Rejected Apify webhook", {
+      filepath,
+      ip: req.ip,
+      error: error.message,
+    });
+    return res
+      .status(error.message === APIFY_WEBHOOK_ERRORS.PAYLOAD ? 400 : 401)
+      .json({ success: false, error: error.message });
+  }
+
+  const { runId, eventType, context } = webhook;
+  logger.info(`Apify webhook received: ${eventType}`, {
+    filepath,
+    runId,
+    jobId: context.jobId,
+    state: context.state,
+    city: context.city,
+  });
+
+  let run;
+  try {
+    // The payload is only trusted for the run ID; the run itself comes from Apify
+    run = await getActorRun(runId);
+    if (!run) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Actor run not found" });
+    }
+    if (!run.finishedAt) {
+      return res
+        .status(409)
+        .json({ success: false, error: "Actor run has not finished" });
+    }
+
+    const recorded = await getApifyRunDetails(runId);
+    if (recorded) {
+      return res.json({
+        success: true,
+        runId,
+        status: recorded.status,
+        resultsCount: recorded.results_count,
+        storeResults: recorded.store_processing_results,
+      });
+    }
+  } catch (error) {
+    logger.error("Failed to check Apify webhook run:", error, {
+      filepath,
+      runId,
+    });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+
+  // Recording a state-sized run takes longer than Apify waits for a response,
+  // so it carries on after this one. A run that fails to record here is
+  // recorded by its job instead (right away, or once the claim goes stale).
+  res.status(202).json({ success: true, runId, status: "recording" });
+  processFinishedRun(run, context)
+    .then((processed) => {
+      if (!processed) {
+        logger.info("Apify webhook run is being recorded elsewhere", {
+          filepath,
+          runId,
+        });
+      }
+    })
+    .catch((error) => {
+      logger.error("Failed to record Apify webhook run:", error, {
+        filepath,
+        runId,
+      });
+    });
+});
+
 // Updated route handler
 router.post("/write-dataset/:datasetIds", async (req, res) => {
   try {
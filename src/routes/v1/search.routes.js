@@ -1,23 +1,268 @@
 import { Router } from "express";
 import logger from "../../utils/logger.js";
-import { searchStores } from "../../services/supabaseServicesSearch.js";
-import { getZipCoordinates } from "../../utils/zipCoordinates.js";
+import {
+  findNearestStores,
+  getStoreProfile,
+  searchStores,
+  searchStoresInBounds,
+} from "../../services/supabaseServicesSearch.js";
+import {
+  getOrComputeSearch,
+  normalizeCoordinates,
+} from "../../services/searchCache.js";
+import {
+  hashClientIp,
+  recordSearchEvent,
+} from "../../services/supabaseServicesAnalytics.js";
+import config from "../../config/config.js";
+import { toStoreFeatureCollection } from "../../utils/formatGeoJson.js";
+import {
+  getPostalCodeCoordinates,
+  POSTAL_CODE_ERRORS,
+} from "../../utils/zipCoordinates.js";
+import { resolvePlace } from "../../utils/placeLookup.js";
+import {
+  parseBooleanParam,
+  parseSearchFilters,
+  SEARCH_FILTER_ERRORS,
+} from "../../utils/searchFilters.js";
+import {
+  parseSearchPagination,
+  SEARCH_PAGINATION_ERRORS,
+} from "../../utils/searchPagination.js";
 
 const filepath = "routes/v1/search.routes.js";
 const router = Router();
 
+// Validates a lat/lng pair from the query string and returns numeric coordinates
+const parseCoordinates = (lat, lng) => {
+  if (lat === undefined || lng === undefined || lat === "" || lng === "") {
+    throw new Error("Both lat and lng are required");
+  }
+
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+
+  if (isNaN(latitude) || latitude < -90 || latitude > 90) {
+    throw new Error("Latitude must be between -90 and 90");
+  }
+  if (isNaN(longitude) || longitude < -180 || longitude > 180) {
+    throw new Error("Longitude must be between -180 and 180");
+  }
+
+  return { latitude, longitude };
+};
+
+// Radius expansion stops once this many stores are found, unless minResults is given
+const DEFAULT_MIN_RESULTS = 5;
+const MAX_MIN_RESULTS = 50;
+
+const EXPAND_ERRORS = {
+  EXPAND: "expand must be true or false",
+  MIN_RESULTS: `minResults must be an integer between 1 and ${MAX_MIN_RESULTS}`,
+};
+
+// Parses the expand/minResults options, returning null when expansion is off
+const parseExpansion = ({ expand, minResults }) => {
+  if (!parseBooleanParam(expand, EXPAND_ERRORS.EXPAND)) return null;
+
+  const parsed =
+    minResults === undefined ? DEFAULT_MIN_RESULTS : Number(minResults);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_MIN_RESULTS) {
+    throw new Error(EXPAND_ERRORS.MIN_RESULTS);
+  }
+
+  return { minResults: parsed };
+};
+
+const DEFAULT_BBOX_LIMIT = 200;
+const MAX_BBOX_LIMIT = 500;
+
+const BBOX_ERRORS = {
+  MISSING: "north, south, east and west are required",
+  LATITUDE: "north and south must be between -90 and 90",
+  LONGITUDE: "east and west must be between -180 and 180",
+  ORDER: "north must be greater than south and east greater than west",
+  LIMIT: `limit must be an integer between 1 and ${MAX_BBOX_LIMIT}`,
+  FORMAT: "format must be json or geojson",
+};
+
+// Validates a map viewport from the query string
+const parseBounds = ({ north, south, east, west }) => {
+  if ([north, south, east, west].some((v) => v === undefined || v === "")) {
+    throw new Error(BBOX_ERRORS.MISSING);
+  }
+
+  const bounds = {
+    north: Number(north),
+    south: Number(south),
+    east: Number(east),
+    west: Number(west),
+  };
+
+  if ([bounds.north, bounds.south].some((v) => isNaN(v) || v < -90 || v > 90)) {
+    throw new Error(BBOX_ERRORS.LATITUDE);
+  }
+  if ([bounds.east, bounds.west].some((v) => isNaN(v) || v < -180 || v > 180)) {
+    throw new Error(BBOX_ERRORS.LONGITUDE);
+  }
+  // Viewports crossing the antimeridian aren't supported; our stores are all in North America
+  if (bounds.north <= bounds.south || bounds.east <= bounds.west) {
+    throw new Error(BBOX_ERRORS.ORDER);
+  }
+
+  return bounds;
+};
+
+const DEBUG_ERROR = "debug must be true or false";
+
+// Errors thrown while parsing a request that are caused by the client's input
+const CLIENT_ERROR_MESSAGES = new Set([
+  ...Object.values(POSTAL_CODE_ERRORS),
+  "Both lat and lng are required",
+  "Latitude must be between -90 and 90",
+  "Longitude must be between -180 and 180",
+  "Place must not be empty",
+  "Place not found",
+  ...Object.values(SEARCH_FILTER_ERRORS),
+  ...Object.values(SEARCH_PAGINATION_ERRORS),
+  ...Object.values(EXPAND_ERRORS),
+  ...Object.values(BBOX_ERRORS),
+  DEBUG_ERROR,
+]);
+
+const SERVICE_UNAVAILABLE_MESSAGES = new Set([
+  "ZIP code service unavailable",
+  "Place search unavailable",
+]);
+
+// Maps errors thrown while handling a search to a response
+const sendSearchError = (res, error, fallbackMessage) => {
+  if (CLIENT_ERROR_MESSAGES.has(error.message)) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (SERVICE_UNAVAILABLE_MESSAGES.has(error.message)) {
+    return res.status(503).json({ error: error.message });
+  }
+
+  res.status(500).json({
+    error: fallbackMessage,
+  });
+};
+
+// Checks that exactly one location source was given, returning an error message if not
+const getLocationParamsError = ({ zipCode, lat, lng, place }) => {
+  const hasCoordinates = lat !== undefined || lng !== undefined;
+  const locationCount = [zipCode, hasCoordinates, place].filter(Boolean).length;
+
+  if (locationCount > 1)
+    return "Provide only one of ZIP code, lat/lng or place";
+  if (locationCount === 0) return "ZIP code, lat/lng or place is required";
+  return null;
+};
+
+/**
+ * Resolves the search centre from the zipCode (with optional country), lat/lng
+ * or place parameters
+ * @returns {Promise<Object>} { coordinates, place, postalCode } where place and
+ *   postalCode are only set for place and postal code searches, or
+ *   { candidates } when a place name is ambiguous
+ */
+const resolveLocation = async ({ zipCode, country, lat, lng, place }) => {
+  if (place) {
+    // Resolve city/state names offline; ambiguous names return candidates instead of guessing
+    const { match, candidates } = resolvePlace(place);
+    if (!match) return { candidates };
+
+    return {
+      coordinates: { latitude: match.latitude, longitude: match.longitude },
+      place: match,
+    };
+  }
+
+  if (lat !== undefined || lng !== undefined) {
+    // Use the client's coordinates directly
+    return { coordinates: parseCoordinates(lat, lng) };
+  }
+
+  // Convert the US ZIP or Canadian postal code to coordinates
+  const { postalCode, ...coordinates } = await getPostalCodeCoordinates(
+    zipCode,
+    country
+  );
+  return { coordinates, postalCode };
+};
+
+const sendAmbiguousPlace = (res, place, candidates) => {
+  logger.info("Ambiguous place search", {
+    filepath,
+    params: { place },
+    candidatesCount: candidates.length,
+  });
+  return res.status(300).json({
+    error: { message: "Multiple places match, please pick one" },
+    candidates,
+  });
+};
+
+// Options that only admin tooling may use; returns true once a 403 has been sent
+const rejectAdminOnlyOptions = (req, res, options) => {
+  const option = Object.keys(options).find((name) => options[name]);
+  if (!option || req.isAdmin) return false;
+
+  logger.warn(`${option} requested without admin API key`, {
+    filepath,
+    ip: req.ip,
+  });
+  res.status(403).json({
+    error: { message: `${option} requires an admin API key` },
+  });
+  return true;
+};
+
+// Sends a cached search response with validators, answering 304 when the client's copy is current
+const sendCachedSearch = (req, res, { value, etag }, contentType) => {
+  res.set({
+    ETag: etag,
+    "Cache-Control": `private, max-age=${config.searchCache.clientMaxAgeSeconds}`,
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  if (contentType) {
+    return res.type(contentType).send(JSON.stringify(value));
+  }
+  res.json(value);
+};
+
+// Records a served search to search_events without waiting for the insert
+const recordSearch = (req, startedAt, event) => {
+  recordSearchEvent({
+    zip_code: null,
+    country_code: null,
+    place: null,
+    ...event,
+    latency_ms: Date.now() - startedAt,
+    ip_hash: hashClientIp(req.ip),
+  });
+};
+
 router.get("/", async (req, res) => {
+  const startedAt = Date.now();
   try {
-    const { zipCode, radius } = req.query;
+    const { zipCode, lat, lng, place, radius } = req.query;
 
-    if (!zipCode) {
-      logger.warn("Missing ZIP code parameter", {
+    const locationError = getLocationParamsError(req.query);
+    if (locationError) {
+      logger.warn("Invalid location parameters", {
         filepath,
-        params: { zipCode, radius },
-        error: "ZIP code is required",
+        params: { zipCode, lat, lng, place, radius },
+        error: locationError,
       });
       return res.status(400).json({
-        error: { message: "ZIP code is required" },
+        error: { message: locationError },
       });
     }
 
@@ -26,7 +271,7 @@ router.get("/", async (req, res) => {
     if (isNaN(parsedRadius) || parsedRadius < 1 || parsedRadius > 150) {
       logger.warn("Invalid radius parameter", {
         filepath,
-        params: { zipCode, radius: radius },
+        params: { zipCode, lat, lng, place, radius },
         error: "Radius must be between 1 and 150 miles",
       });
       return res.status(400).json({
@@ -34,42 +279,291 @@ router.get("/", async (req, res) => {
       });
     }
 
-    // Convert ZIP to coordinates using our local database
-    const coordinates = await getZipCoordinates(zipCode);
+    // Validate filters, paging and expansion before resolving the location
+    const filters = parseSearchFilters(req.query);
+    const pagination = parseSearchPagination(req.query);
+    const expand = parseExpansion(req.query);
+    const debug = parseBooleanParam(req.query.debug, DEBUG_ERROR) || false;
+
+    const adminOptions = { includeClosed: filters.includeClosed, debug };
+    if (rejectAdminOnlyOptions(req, res, adminOptions)) return;
+
+    const location = await resolveLocation(req.query);
+    if (location.candidates) {
+      return sendAmbiguousPlace(res, place, location.candidates);
+    }
+    const coordinates = normalizeCoordinates(location.coordinates);
 
     logger.info("Processing store search request", {
       filepath,
-      params: { zipCode, radius, coordinates },
+      params: { zipCode, lat, lng, place, radius, coordinates, filters },
     });
 
-    const results = await searchStores({
-      latitude: coordinates.latitude,
-      longitude: coordinates.longitude,
+    const searchParams = {
+      ...coordinates,
       radius: parsedRadius,
-    });
+      filters,
+      pagination,
+      expand,
+      debug,
+    };
+    const cached = await getOrComputeSearch(
+      "radius",
+      {
+        ...searchParams,
+        place: location.place?.name,
+        postalCode: location.postalCode,
+      },
+      async () => {
+        const results = await searchStores(searchParams);
+        if (location.place) {
+          results.metadata.place = location.place;
+        }
+        if (location.postalCode) {
+          results.metadata.postalCode = location.postalCode;
+        }
+        return results;
+      }
+    );
+    const results = cached.value;
 
     logger.info("Search request completed", {
       filepath,
-      params: { zipCode, radius },
+      params: { zipCode, lat, lng, place, radius },
       resultsCount: results.metadata.count,
+      totalCount: results.metadata.total,
+      radiusUsed: results.metadata.radius,
+      cacheHit: cached.hit,
     });
 
-    res.json(results);
+    recordSearch(req, startedAt, {
+      search_type: "radius",
+      zip_code: location.postalCode?.code ?? null,
+      country_code: location.postalCode?.country ?? null,
+      place: location.place?.name ?? null,
+      ...coordinates,
+      radius: results.metadata.radius,
+      filters,
+      result_count: results.metadata.total,
+      cache_hit: cached.hit,
+    });
+
+    sendCachedSearch(req, res, cached);
   } catch (error) {
     logger.error("Search request failed:", error, { filepath });
+    sendSearchError(res, error, "Failed to process search request");
+  }
+});
+
+const DEFAULT_NEAREST_COUNT = 5;
+const MAX_NEAREST_COUNT = 50;
+
+// Returns the N closest stores regardless of distance, for "closest repair options"
+router.get("/nearest", async (req, res) => {
+  const startedAt = Date.now();
+  try {
+    const { zipCode, lat, lng, place, count } = req.query;
+
+    const locationError = getLocationParamsError(req.query);
+    if (locationError) {
+      logger.warn("Invalid location parameters", {
+        filepath,
+        params: { zipCode, lat, lng, place, count },
+        error: locationError,
+      });
+      return res.status(400).json({
+        error: { message: locationError },
+      });
+    }
 
+    const parsedCount =
+      count === undefined ? DEFAULT_NEAREST_COUNT : Number(count);
     if (
-      error.message === "ZIP code must be exactly 5 digits" ||
-      error.message === "ZIP code not found"
+      !Number.isInteger(parsedCount) ||
+      parsedCount < 1 ||
+      parsedCount > MAX_NEAREST_COUNT
     ) {
-      return res.status(400).json({ error: error.message });
+      logger.warn("Invalid count parameter", {
+        filepath,
+        params: { zipCode, lat, lng, place, count },
+        error: `Count must be between 1 and ${MAX_NEAREST_COUNT}`,
+      });
+      return res.status(400).json({
+        error: { message: `Count must be between 1 and ${MAX_NEAREST_COUNT}` },
+      });
+    }
+
+    const filters = parseSearchFilters(req.query);
+    const adminOptions = { includeClosed: filters.includeClosed };
+    if (rejectAdminOnlyOptions(req, res, adminOptions)) return;
+
+    const location = await resolveLocation(req.query);
+    if (location.candidates) {
+      return sendAmbiguousPlace(res, place, location.candidates);
+    }
+    const coordinates = normalizeCoordinates(location.coordinates);
+
+    logger.info("Processing nearest stores request", {
+      filepath,
+      params: { zipCode, lat, lng, place, count: parsedCount, coordinates },
+    });
+
+    const searchParams = { ...coordinates, count: parsedCount, filters };
+    const cached = await getOrComputeSearch(
+      "nearest",
+      {
+        ...searchParams,
+        place: location.place?.name,
+        postalCode: location.postalCode,
+      },
+      async () => {
+        const results = await findNearestStores(searchParams);
+        if (location.place) {
+          results.metadata.place = location.place;
+        }
+        if (location.postalCode) {
+          results.metadata.postalCode = location.postalCode;
+        }
+        return results;
+      }
+    );
+    const results = cached.value;
+
+    logger.info("Nearest stores request completed", {
+      filepath,
+      params: { zipCode, lat, lng, place, count: parsedCount },
+      resultsCount: results.metadata.count,
+      cacheHit: cached.hit,
+    });
+
+    recordSearch(req, startedAt, {
+      search_type: "nearest",
+      zip_code: location.postalCode?.code ?? null,
+      country_code: location.postalCode?.country ?? null,
+      place: location.place?.name ?? null,
+      ...coordinates,
+      filters,
+      result_count: results.metadata.count,
+      cache_hit: cached.hit,
+    });
+
+    sendCachedSearch(req, res, cached);
+  } catch (error) {
+    logger.error("Nearest stores request failed:", error, { filepath });
+    sendSearchError(res, error, "Failed to process nearest stores request");
+  }
+});
+
+// Stores inside a map viewport, optionally as GeoJSON for the map view
+router.get("/bbox", async (req, res) => {
+  const startedAt = Date.now();
+  try {
+    const { north, south, east, west, limit, format = "json" } = req.query;
+
+    const bounds = parseBounds(req.query);
+
+    const parsedLimit =
+      limit === undefined ? DEFAULT_BBOX_LIMIT : Number(limit);
+    if (
+      !Number.isInteger(parsedLimit) ||
+      parsedLimit < 1 ||
+      parsedLimit > MAX_BBOX_LIMIT
+    ) {
+      throw new Error(BBOX_ERRORS.LIMIT);
+    }
+
+    if (!["json", "geojson"].includes(format)) {
+      throw new Error(BBOX_ERRORS.FORMAT);
     }
-    if (error.message === "ZIP code service unavailable") {
-      return res.status(503).json({ error: error.message });
+
+    const filters = parseSearchFilters(req.query);
+    const adminOptions = { includeClosed: filters.includeClosed };
+    if (rejectAdminOnlyOptions(req, res, adminOptions)) return;
+
+    logger.info("Processing bounding box search request", {
+      filepath,
+      params: { north, south, east, west, limit: parsedLimit, format, filters },
+    });
+
+    const searchParams = { bounds, limit: parsedLimit, filters };
+    const cached = await getOrComputeSearch(
+      "bbox",
+      { ...searchParams, format },
+      async () => {
+        const results = await searchStoresInBounds(searchParams);
+        return format === "geojson"
+          ? toStoreFeatureCollection(results.stores, results.metadata)
+          : results;
+      }
+    );
+
+    logger.info("Bounding box search request completed", {
+      filepath,
+      params: { north, south, east, west, format },
+      resultsCount: cached.value.metadata.count,
+      truncated: cached.value.metadata.truncated,
+      cacheHit: cached.hit,
+    });
+
+    recordSearch(req, startedAt, {
+      search_type: "bbox",
+      ...normalizeCoordinates({
+        latitude: (bounds.north + bounds.south) / 2,
+        longitude: (bounds.east + bounds.west) / 2,
+      }),
+      filters,
+      result_count: cached.value.metadata.count,
+      cache_hit: cached.hit,
+    });
+
+    sendCachedSearch(
+      req,
+      res,
+      cached,
+      format === "geojson" ? "application/geo+json" : undefined
+    );
+  } catch (error) {
+    logger.error("Bounding box search request failed:", error, { filepath });
+    sendSearchError(res, error, "Failed to process bounding box search");
+  }
+});
+
+// Google place IDs are URL-safe base64-like strings
+const PLACE_ID_PATTERN = /^[A-Za-z0-9_-]{10,300}$/;
+
+router.get("/stores/:placeId", async (req, res) => {
+  const { placeId } = req.params;
+
+  try {
+    if (!PLACE_ID_PATTERN.test(placeId)) {
+      logger.warn("Invalid place ID parameter", {
+        filepath,
+        params: { placeId },
+        error: "Invalid place ID",
+      });
+      return res.status(400).json({
+        error: { message: "Invalid place ID" },
+      });
     }
 
+    const store = await getStoreProfile(placeId);
+
+    if (!store) {
+      logger.info("Store not found", { filepath, params: { placeId } });
+      return res.status(404).json({
+        error: { message: "Store not found" },
+      });
+    }
+
+    res.json({ store });
+  } catch (error) {
+    logger.error("Store profile request failed:", error, {
+      filepath,
+      params: { placeId },
+    });
+
     res.status(500).json({
-      error: "Failed to process search request",
+      error: "Failed to fetch store",
     });
   }
 });
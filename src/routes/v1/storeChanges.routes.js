@@ -0,0 +1,66 @@
+import { Router } from "express";
+import logger from "../../utils/logger.js";
+import {
+  getRunChanges,
+  getStoreChanges,
+} from "../../services/supabaseServicesStoreHistory.js";
+
+const filepath = "routes/v1/storeChanges.routes.js";
+const router = Router();
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+const parseLimit = (limit) => {
+  const parsed = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+  return Number.isInteger(parsed) && parsed >= 1 && parsed <= MAX_LIMIT
+    ? parsed
+    : null;
+};
+
+// Shared by both listings: validates limit and reports failures the same way
+const changesHandler = (name, fetchChanges) => async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  if (!limit) {
+    return res.status(400).json({
+      error: { message: `limit must be an integer between 1 and ${MAX_LIMIT}` },
+    });
+  }
+
+  try {
+    const changes = await fetchChanges(req.params, limit);
+
+    const byField = {};
+    for (const { field } of changes) {
+      byField[field] = (byField[field] || 0) + 1;
+    }
+
+    res.json({ success: true, count: changes.length, byField, changes });
+  } catch (error) {
+    logger.error(`Failed to list store changes: ${name}`, {
+      filepath,
+      params: req.params,
+      error: error.message,
+    });
+    res
+      .status(500)
+      .json({ error: { message: "Failed to list store changes" } });
+  }
+};
+
+// What one scrape run (Apify run ID) or dataset import (dataset ID) changed,
+// e.g. "rating dropped 0.5", "new categories: Bicycle repair shop"
+router.get(
+  "/runs/:sourceId",
+  changesHandler("run", ({ sourceId }, limit) => getRunChanges(sourceId, limit))
+);
+
+// One store's history across scrapes, newest first
+router.get(
+  "/stores/:placeId",
+  changesHandler("store", ({ placeId }, limit) =>
+    getStoreChanges(placeId, limit)
+  )
+);
+
+export default router;
@@ -0,0 +1,130 @@
+import { Router } from "express";
+import logger from "../../utils/logger.js";
+import {
+  createStoreRule,
+  deleteStoreRule,
+  getStoreRule,
+  listStoreExclusions,
+  listStoreRules,
+  updateStoreRule,
+} from "../../services/supabaseServicesStoreRules.js";
+import { parseStoreRule, STORE_RULE_ERRORS } from "../../utils/storeRules.js";
+
+const filepath = "routes/v1/storeRules.routes.js";
+const router = Router();
+
+const DEFAULT_EXCLUSIONS_LIMIT = 100;
+const MAX_EXCLUSIONS_LIMIT = 500;
+
+// Validation errors are the client's fault; anything else is ours
+const sendRuleError = (res, error, action) => {
+  if (error.message === STORE_RULE_ERRORS.NOT_FOUND) {
+    return res.status(404).json({ error: { message: error.message } });
+  }
+  if (Object.values(STORE_RULE_ERRORS).includes(error.message)) {
+    return res.status(400).json({ error: { message: error.message } });
+  }
+
+  logger.error(`Failed to ${action} store rule:`, error, { filepath });
+  res
+    .status(500)
+    .json({ error: { message: `Failed to ${action} store rule` } });
+};
+
+const parseRuleId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// Every rule, including disabled ones
+router.get("/", async (req, res) => {
+  try {
+    const rules = await listStoreRules();
+    res.json({ success: true, count: rules.length, rules });
+  } catch (error) {
+    logger.error("Failed to list store rules:", error, { filepath });
+    res.status(500).json({ error: { message: "Failed to list store rules" } });
+  }
+});
+
+// Stores the rules kept out of the directory, newest first
+router.get("/exclusions", async (req, res) => {
+  const { ruleId, placeId, limit } = req.query;
+
+  const parsedRuleId = ruleId === undefined ? undefined : parseRuleId(ruleId);
+  if (parsedRuleId === null) {
+    return res
+      .status(400)
+      .json({ error: { message: "ruleId must be a positive integer" } });
+  }
+
+  const parsedLimit =
+    limit === undefined ? DEFAULT_EXCLUSIONS_LIMIT : Number(limit);
+  if (
+    !Number.isInteger(parsedLimit) ||
+    parsedLimit < 1 ||
+    parsedLimit > MAX_EXCLUSIONS_LIMIT
+  ) {
+    return res.status(400).json({
+      error: {
+        message: `limit must be an integer between 1 and ${MAX_EXCLUSIONS_LIMIT}`,
+      },
+    });
+  }
+
+  try {
+    const exclusions = await listStoreExclusions({
+      ruleId: parsedRuleId,
+      placeId,
+      limit: parsedLimit,
+    });
+    res.json({ success: true, count: exclusions.length, exclusions });
+  } catch (error) {
+    logger.error("Failed to list store exclusions:", error, { filepath });
+    res
+      .status(500)
+      .json({ error: { message: "Failed to list store exclusions" } });
+  }
+});
+
+// Adds a rule: { rule_type, value, enabled?, description? }
+router.post("/", async (req, res) => {
+  try {
+    const rule = await createStoreRule(parseStoreRule(req.body));
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    sendRuleError(res, error, "create");
+  }
+});
+
+// Changes any of rule_type, value, enabled and description
+router.patch("/:id", async (req, res) => {
+  const id = parseRuleId(req.params.id);
+  if (!id) {
+    return res.status(400).json({ error: { message: "Invalid rule ID" } });
+  }
+
+  try {
+    const existing = await getStoreRule(id);
+    const rule = await updateStoreRule(id, parseStoreRule(req.body, existing));
+    res.json({ success: true, rule });
+  } catch (error) {
+    sendRuleError(res, error, "update");
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  const id = parseRuleId(req.params.id);
+  if (!id) {
+    return res.status(400).json({ error: { message: "Invalid rule ID" } });
+  }
+
+  try {
+    await deleteStoreRule(id);
+    res.json({ success: true, id });
+  } catch (error) {
+    sendRuleError(res, error, "delete");
+  }
+});
+
+export default router;
@@ -2,11 +2,24 @@ import { ApifyClient } from "apify-client";
 import config from "../config/config.js";
 import { getActorConfig } from "../config/actorConfig.js";
 import logger from "../utils/logger.js";
+import { filterStoresByRules } from "./supabaseServicesStoreRules.js";
+import { loadFixtureApifyClient } from "./fixtureApifyClient.js";
 
 const filepath = "services/apifyService.js";
-const apifyClient = new ApifyClient({
-  token: config.apify.apiToken,
-});
+let apifyClient =
+  config.apify.fixtureFile && config.nodeEnv !== "production"
+    ? loadFixtureApifyClient(config.apify.fixtureFile)
+    : new ApifyClient({
+        token: config.apify.apiToken,
+      });
+
+/**
+ * Replaces the Apify client, e.g. with createFixtureApifyClient in tests
+ * @param {Object} client - ApifyClient or a stand-in with the same methods
+ */
+export const setApifyClient = (client) => {
+  apifyClient = client;
+};
 
 /**
  * Transforms raw Apify data into our stores schema format
@@ -95,133 +108,225 @@ const transformStoreData = (item) => {
   }
 };
 
-export const crawlerGooglePlaces = async (
-  searchQueries,
-  state,
-  city = "", // Make city explicitly optional with default empty string
-  maxResults = 5 // Default to 5 for safety if not specified
+const GOOGLE_PLACES_ACTOR = "compass/crawler-google-places";
+
+/**
+ * Starts a Google Places actor run without waiting for it
+ * @param {Object} searchParams - { queries, state, city, maxResults, actorOverrides }
+ * @param {Object} [options]
+ * @param {number|null} [options.maxTotalChargeUsd] - Apify stops charging the
+ *   run at this cost
+ * @returns {Promise<Object>} The started Apify run
+ */
+export const startGooglePlacesRun = async (
+  { queries, state, city, maxResults, actorOverrides },
+  { maxTotalChargeUsd } = {}
 ) => {
-  try {
-    // Input validation
-    if (!searchQueries || !searchQueries.length)
-      throw new Error("Search queries are required");
-    if (!state) throw new Error("State is required");
-
-    logger.info(
-      `Starting shop data scraping for queries: ${searchQueries.join(
-        ", "
-      )} in ${city ? city + ", " : ""}${state} (max results: ${maxResults})`,
-      { filepath }
+  if (!queries || !queries.length)
+    throw new Error("Search queries are required");
+  if (!state) throw new Error("State is required");
+
+  logger.info(
+    `Starting shop data scraping for queries: ${queries.join(", ")} in ${
+      city ? city + ", " : ""
+    }${state} (max results: ${maxResults})`,
+    { filepath, maxTotalChargeUsd }
+  );
+
+  return apifyClient
+    .actor(GOOGLE_PLACES_ACTOR)
+    .start(
+      getActorConfig(queries, state, city, maxResults, actorOverrides),
+      maxTotalChargeUsd ? { maxTotalChargeUsd } : {}
     );
+};
 
-    const run = await apifyClient
-      .actor("compass/crawler-google-places")
-      .call(getActorConfig(searchQueries, state, city, maxResults));
-
-    // Collect run information
-    const runDetails = {
-      runId: run.id,
-      actorId: run.actId,
-      status: run.status,
-      statusMessage: run.statusMessage,
-      timing: {
-        startedAt: run.startedAt,
-        finishedAt: run.finishedAt,
-        runTimeSecs: run.stats.runTimeSecs,
-      },
-      data_ids: {
-        defaultDatasetId: run.defaultDatasetId,
-        defaultKeyValueStoreId: run.defaultKeyValueStoreId,
-        defaultRequestQueueId: run.defaultRequestQueueId,
-      },
-      usage: {
-        computeUnits: run.usage.ACTOR_COMPUTE_UNITS,
-        datasetReads: run.usage.DATASET_READS,
-        datasetWrites: run.usage.DATASET_WRITES,
-        totalCostUsd: run.usageTotalUsd,
-      },
-      searchParams: {
-        queries: searchQueries,
-        state,
-        city,
-        maxResults,
-      },
-      resultsCount: 0, // Will be updated after getting items
-    };
-
-    // Get dataset items
-    const { items } = await apifyClient
-      .dataset(run.defaultDatasetId)
-      .listItems();
-
-    // Add counters for filtered stores
-    let walmartCount = 0;
-    let targetCount = 0;
-
-    // Transform items into our schema format
-    // Add counter for validation failures
-    let validationFailures = 0;
-    const stores = items
-      .map((item) => {
-        const result = transformStoreData(item);
-        if (result === null) validationFailures++;
-        return result;
-      })
-      // Filter out null results from transformStoreData
-      .filter((store) => store !== null)
-      // Additional filter to exclude Walmart and Target stores (case-insensitive)
-      .filter((store) => {
-        const storeName = store.name.toLowerCase();
-        if (storeName.includes("walmart")) {
-          walmartCount++;
-          return false;
-        }
-        if (storeName.includes("target")) {
-          targetCount++;
-          return false;
-        }
-        return true;
-      });
-
-    // Add deduplication step
-    const uniqueStores = stores.reduce((acc, store) => {
-      acc.set(store.place_id, store);
-      return acc;
-    }, new Map());
+/**
+ * Adds an ad-hoc webhook to a started run. Creating it again for the same run
+ * is a no-op.
+ * @param {string} runId - Apify run ID
+ * @param {Object} webhook - Output of buildRunWebhook (utils/apifyWebhook.js)
+ * @returns {Promise<Object>} The Apify webhook
+ */
+export const addRunWebhook = (runId, webhook) =>
+  apifyClient.webhooks().create({
+    ...webhook,
+    isAdHoc: true,
+    condition: { actorRunId: runId },
+    idempotencyKey: runId,
+  });
 
-    const duplicatesFound = stores.length - uniqueStores.size;
-    const dedupedStores = Array.from(uniqueStores.values());
+/**
+ * Fetches an actor run as Apify reports it now
+ * @param {string} runId - Apify run ID
+ * @returns {Promise<Object|undefined>} The run, or undefined when it doesn't exist
+ */
+export const getActorRun = (runId) => apifyClient.run(runId).get();
 
-    // Update results count
-    runDetails.resultsCount = items.length;
+/**
+ * Asks Apify to abort a run. Errors are logged, not thrown.
+ * @param {string} runId - Apify run ID
+ */
+export const abortActorRun = async (runId) => {
+  try {
+    await apifyClient.run(runId).abort();
+  } catch (error) {
+    logger.error("Failed to abort actor run:", error, { filepath, runId });
+  }
+};
 
-    logger.info(`Scraped and transformed ${items.length} places`, {
+/**
+ * Turns a finished actor run into stores: fetches its dataset, transforms,
+ * deduplicates and applies the store rules
+ * @param {Object} run - Finished Apify run
+ * @param {Object} searchParams - { queries, state, city, maxResults, actorOverrides }
+ *   the run was started with, recorded in apify_runs
+ * @returns {Promise<{stores: Array<Object>, runDetails: Object,
+ *   validationFailures: number, seenPlaceIds: string[],
+ *   rawItems: Array<Object>|undefined}>} seenPlaceIds holds every place the
+ *   dataset returned, including those dropped by validation or store rules;
+ *   rawItems only in development; runDetails.resultsPerQuery counts the items
+ *   of each search query
+ */
+export const collectRunResults = async (run, searchParams) => {
+  // Collect run information
+  const runDetails = {
+    runId: run.id,
+    actorId: run.actId,
+    status: run.status,
+    statusMessage: run.statusMessage,
+    timing: {
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      runTimeSecs: run.stats.runTimeSecs,
+    },
+    data_ids: {
+      defaultDatasetId: run.defaultDatasetId,
+      defaultKeyValueStoreId: run.defaultKeyValueStoreId,
+      defaultRequestQueueId: run.defaultRequestQueueId,
+    },
+    usage: {
+      computeUnits: run.usage.ACTOR_COMPUTE_UNITS,
+      datasetReads: run.usage.DATASET_READS,
+      datasetWrites: run.usage.DATASET_WRITES,
+      totalCostUsd: run.usageTotalUsd,
+    },
+    searchParams,
+    resultsCount: 0, // Will be updated after getting items
+  };
+
+  // Get dataset items
+  const { items } = await apifyClient.dataset(run.defaultDatasetId).listItems();
+
+  // Transform items into our schema format
+  // Add counter for validation failures
+  let validationFailures = 0;
+  const stores = items
+    .map((item) => {
+      const result = transformStoreData(item);
+      if (result === null) validationFailures++;
+      return result;
+    })
+    // Filter out null results from transformStoreData
+    .filter((store) => store !== null);
+
+  // Add deduplication step
+  const uniqueStores = stores.reduce((acc, store) => {
+    acc.set(store.place_id, store);
+    return acc;
+  }, new Map());
+
+  const duplicatesFound = stores.length - uniqueStores.size;
+
+  // Drop big-box and other unwanted stores (see store_rules)
+  const { stores: dedupedStores, excludedByRule } = await filterStoresByRules(
+    Array.from(uniqueStores.values()),
+    { type: "scrape", id: run.id }
+  );
+
+  // Update results count
+  runDetails.resultsCount = items.length;
+  // maxResults caps each search query, so counts per query show which ones hit it
+  runDetails.resultsPerQuery = items.reduce((counts, item) => {
+    const query = item.searchString || "";
+    counts[query] = (counts[query] || 0) + 1;
+    return counts;
+  }, {});
+
+  logger.info(`Scraped and transformed ${items.length} places`, {
+    filepath,
+    runId: run.id,
+    validationFailures,
+  });
+
+  logger.info("Stores excluded by store rules", {
+    filepath,
+    excludedByRule,
+  });
+
+  logger.info(
+    `Total stores after filtering and deduplication: ${dedupedStores.length}`,
+    {
       filepath,
-      validationFailures,
-    });
+      duplicatesFound,
+    }
+  );
+
+  return {
+    stores: dedupedStores,
+    runDetails,
+    validationFailures,
+    seenPlaceIds: [
+      ...new Set(items.map((item) => item.placeId).filter(Boolean)),
+    ],
+    rawItems: config.nodeEnv === "development" ? items : undefined,
+  };
+};
 
-    logger.info(
-      `Filtered out ${walmartCount} Walmart and ${targetCount} Target stores`,
-      {
-        filepath,
-      }
-    );
+export const crawlerGooglePlaces = async (
+  searchQueries,
+  state,
+  city = "", // Make city explicitly optional with default empty string
+  maxResults = 5, // Default to 5 for safety if not specified
+  actorOverrides = {}, // Per-job actor settings, e.g. { maxReviews: 20 }
+  signal = null, // Aborts the actor run when the job is cancelled
+  { maxTotalChargeUsd = null, onRunStarted = null } = {} // Charge cap, and a callback given the run ID
+) => {
+  try {
+    const searchParams = {
+      queries: searchQueries,
+      state,
+      city,
+      maxResults,
+      actorOverrides,
+    };
 
-    logger.info(
-      `Total stores after filtering and deduplication: ${dedupedStores.length}`,
-      {
+    // start + waitForFinish is what .call() does, but exposes the run ID so a
+    // cancelled job can abort it. The items scraped before the abort are kept.
+    const startedRun = await startGooglePlacesRun(searchParams, {
+      maxTotalChargeUsd,
+    });
+    onRunStarted?.(startedRun.id);
+    const abortRun = () => {
+      logger.info(`Aborting actor run for ${state}`, {
         filepath,
-        duplicatesFound,
-      }
-    );
-
-    // Return both the transformed items, run info, and raw items in development
-    return {
-      stores: dedupedStores, // Return deduplicated stores instead of original stores
-      runDetails,
-      rawItems: config.nodeEnv === "development" ? items : undefined,
-      validationFailures,
+        runId: startedRun.id,
+        city,
+      });
+      abortActorRun(startedRun.id);
     };
+    if (signal?.aborted) abortRun();
+    signal?.addEventListener("abort", abortRun, { once: true });
+
+    let run;
+    try {
+      run = await apifyClient.run(startedRun.id).waitForFinish();
+    } finally {
+      signal?.removeEventListener("abort", abortRun);
+    }
+
+    // The transformed items, run info, and raw items in development
+    return await collectRunResults(run, searchParams);
   } catch (error) {
     logger.error("Error scraping shop data:", error, { filepath });
     throw error;
@@ -255,11 +360,7 @@ export const fetchAndTransformDataset = async (datasetId) => {
         if (result === null) validationFailures++;
         return result;
       })
-      .filter((store) => store !== null)
-      .filter((store) => {
-        const storeName = store.name.toLowerCase();
-        return !storeName.includes("walmart") && !storeName.includes("target");
-      });
+      .filter((store) => store !== null);
 
     // Add deduplication step before returning
     const uniqueStores = stores.reduce((acc, store) => {
@@ -269,6 +370,11 @@ export const fetchAndTransformDataset = async (datasetId) => {
 
     const duplicatesFound = stores.length - uniqueStores.size;
 
+    const { stores: keptStores, excludedByRule } = await filterStoresByRules(
+      Array.from(uniqueStores.values()),
+      { type: "dataset", id: datasetId }
+    );
+
     logger.info(`Dataset transformation complete`, {
       filepath,
       datasetId,
@@ -276,11 +382,12 @@ export const fetchAndTransformDataset = async (datasetId) => {
       validStores: stores.length,
       dedupedStores: uniqueStores.size,
       duplicatesFound,
+      excludedByRule,
       validationFailures,
     });
 
     return {
-      stores: Array.from(uniqueStores.values()), // Return deduplicated stores
+      stores: keptStores, // Return deduplicated stores that passed the store rules
       validationFailures,
       totalProcessed: items.length,
     };
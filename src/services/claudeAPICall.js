@@ -1,4 +1,5 @@
 import Anthropic from "@anthropic-ai/sdk";
+import { setTimeout as sleep } from "timers/promises";
 import logger from "../utils/logger.js";
 import { createRedactedStoreText } from "../utils/createRedactedStoreText.js";
 
@@ -51,7 +52,7 @@ let requestsThisMinute = 0;
 let tokensThisMinute = 0;
 let lastResetTime = Date.now();
 
-async function checkRateLimits(estimatedInputTokens) {
+async function checkRateLimits(estimatedInputTokens, signal) {
   const now = Date.now();
   const timeElapsed = now - lastResetTime;
 
@@ -95,7 +96,7 @@ async function checkRateLimits(estimatedInputTokens) {
       limits: RATE_LIMITS,
       waitTimeMs: waitTime,
     });
-    await new Promise((resolve) => setTimeout(resolve, waitTime));
+    await sleep(waitTime, undefined, { signal });
     requestsThisMinute = 0;
     tokensThisMinute = 0;
     lastResetTime = Date.now();
@@ -118,9 +119,10 @@ async function checkRateLimits(estimatedInputTokens) {
 /**
  * Makes API calls to Claude with robust retry logic and error handling
  * @param {Object} storeData - Formatted store data object
+ * @param {AbortSignal} [signal] - Cancels the request and any rate limit or retry wait
  * @returns {Promise<Object>} Object containing AI-generated summary and token usage
  */
-export const claudeAPICall = async (storeData) => {
+export const claudeAPICall = async (storeData, signal) => {
   // Single comprehensive debug log at start
   logger.debug("Starting Claude API call", {
     filepath,
@@ -164,24 +166,27 @@ export const claudeAPICall = async (storeData) => {
       );
 
       // Check rate limits before making request
-      await checkRateLimits(estimatedInputTokens);
-
-      const response = await anthropic.messages.create({
-        model: CLAUDE_CONFIG.MODEL,
-        max_tokens: CLAUDE_CONFIG.MAX_TOKENS,
-        system: SYSTEM_PROMPT,
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: `${USER_PROMPT}\n\nSTORE DATA:\n${storeData.storeTextForAI}`,
-              },
-            ],
-          },
-        ],
-      });
+      await checkRateLimits(estimatedInputTokens, signal);
+
+      const response = await anthropic.messages.create(
+        {
+          model: CLAUDE_CONFIG.MODEL,
+          max_tokens: CLAUDE_CONFIG.MAX_TOKENS,
+          system: SYSTEM_PROMPT,
+          messages: [
+            {
+              role: "user",
+              content: [
+                {
+                  type: "text",
+                  text: `${USER_PROMPT}\n\nSTORE DATA:\n${storeData.storeTextForAI}`,
+                },
+              ],
+            },
+          ],
+        },
+        { signal }
+      );
 
       // Validate response
       if (!response?.content?.[0]?.text) {
@@ -211,6 +216,9 @@ export const claudeAPICall = async (storeData) => {
 
       return aiSummary;
     } catch (error) {
+      // A cancelled job neither logs this as a failure nor retries it
+      if (signal?.aborted) throw error;
+
       logger.error("Claude API call failed", {
         filepath,
         storeId: storeData.place_id,
@@ -233,9 +241,7 @@ export const claudeAPICall = async (storeData) => {
       }
 
       // Wait before retrying
-      await new Promise((resolve) =>
-        setTimeout(resolve, CLAUDE_CONFIG.RETRY_DELAY)
-      );
+      await sleep(CLAUDE_CONFIG.RETRY_DELAY, undefined, { signal });
     }
   }
 };
@@ -0,0 +1,54 @@
+import fs from "fs";
+import logger from "../utils/logger.js";
+
+const filepath = "services/fixtureApifyClient.js";
+
+/**
+ * A stand-in for the parts of ApifyClient the scrape code uses, serving runs
+ * and datasets from a fixture instead of Apify. Lets POST /scrape/webhook be
+ * tried locally (scripts/sendApifyWebhook.js) and tested without network access.
+ * @param {Object} fixture
+ * @param {Array<Object>} fixture.runs - Finished Apify runs, as run(id).get() returns them
+ * @param {Object<string, Array<Object>>} fixture.datasets - Items by dataset ID
+ * @returns {Object} Client with run, dataset, actor and webhooks
+ */
+export const createFixtureApifyClient = ({ runs = [], datasets = {} }) => {
+  const runsById = new Map(runs.map((run) => [run.id, run]));
+
+  return {
+    run: (runId) => ({
+      get: async () => runsById.get(runId),
+      waitForFinish: async () => runsById.get(runId),
+      abort: async () => runsById.get(runId),
+    }),
+    dataset: (datasetId) => ({
+      listItems: async () => {
+        const items = datasets[datasetId] || [];
+        return { items, count: items.length, total: items.length };
+      },
+    }),
+    actor: () => ({
+      start: async () => {
+        throw new Error("Fixture Apify client can't start actor runs");
+      },
+    }),
+    webhooks: () => ({
+      create: async (webhook) => webhook,
+    }),
+  };
+};
+
+/**
+ * Reads a fixture file for createFixtureApifyClient
+ * @param {string} path - JSON file holding { runs, datasets }
+ * @returns {Object} Fixture Apify client
+ */
+export const loadFixtureApifyClient = (path) => {
+  const fixture = JSON.parse(fs.readFileSync(path, "utf8"));
+  logger.warn("Using fixture Apify client, Apify is not called", {
+    filepath,
+    path,
+    runs: fixture.runs?.length ?? 0,
+  });
+  return createFixtureApifyClient(fixture);
+};
@@ -0,0 +1,478 @@
+import { createClient } from "@supabase/supabase-js";
+import crypto from "crypto";
+import config from "../config/config.js";
+import logger from "../utils/logger.js";
+
+const filepath = "services/jobRegistry.js";
+const supabase = createClient(config.supabase.url, config.supabase.key);
+
+export const JOB_TYPES = ["scrape", "ai"];
+export const JOB_STATUSES = [
+  "running",
+  "completed",
+  "failed",
+  "cancelled",
+  "interrupted",
+];
+
+export const JOB_ERRORS = {
+  NOT_FOUND: "Job not found",
+  RUNNING: "Job is already running",
+  COMPLETED: "Job already completed",
+  NOT_RESUMABLE: "Job type cannot be resumed",
+  NOT_RUNNING: "Job is not running",
+  REMOTE: "Job is running in another server process",
+  LOCKED: "Another job of this type is already running",
+  LOCK_UNAVAILABLE: "Job lock unavailable",
+  IDEMPOTENCY_KEY: "Idempotency-Key must be 1 to 255 characters",
+};
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Jobs started by this process. The jobs table is the record across restarts;
+// this copy keeps status reads working when the database can't be reached.
+const activeJobs = new Map();
+
+// Finished jobs kept in memory for status reads before they age out
+const MAX_FINISHED_JOBS = 100;
+
+// Running jobs refresh updated_at this often, even between progress updates
+const HEARTBEAT_MS = 60 * 1000;
+// A running job with no update for this long was cut off by a restart
+const STALE_JOB_MS = 5 * 60 * 1000;
+
+// Abort controllers of the jobs running here, see getJobSignal
+const jobControllers = new Map();
+
+// Resume handlers by job type, see registerJobRunner
+const jobRunners = new Map();
+
+// Last queued write per job, so an older snapshot never lands after a newer one
+const pendingWrites = new Map();
+
+const writeJob = async (job) => {
+  try {
+    const { error } = await supabase.from("jobs").upsert(job);
+    if (error) throw error;
+  } catch (error) {
+    // Bookkeeping must never break the job itself
+    logger.warn("Failed to persist job", {
+      filepath,
+      jobId: job.id,
+      status: job.status,
+      error: error.message,
+    });
+  }
+};
+
+const persistJob = (job) => {
+  const write = (pendingWrites.get(job.id) || Promise.resolve()).then(() =>
+    writeJob(job)
+  );
+  pendingWrites.set(job.id, write);
+  write.then(() => {
+    if (pendingWrites.get(job.id) === write) pendingWrites.delete(job.id);
+  });
+  return write;
+};
+
+/**
+ * Takes the single-flight lock for a job type in the job_locks table, so only
+ * one job of each type runs across all server processes. A lock whose holder
+ * stopped heartbeating is taken over.
+ * @throws {Error} JOB_ERRORS.LOCKED with error.jobId set to the holder, or
+ *   JOB_ERRORS.LOCK_UNAVAILABLE when the database can't be asked
+ */
+const acquireJobLock = async (type, jobId) => {
+  const { data: acquiredBy, error } = await supabase.rpc("acquire_job_lock", {
+    lock_type: type,
+    holder_job_id: jobId,
+    stale_seconds: STALE_JOB_MS / 1000,
+  });
+
+  if (error) {
+    logger.error("Failed to acquire job lock", {
+      filepath,
+      type,
+      jobId,
+      error: error.message,
+    });
+    throw new Error(JOB_ERRORS.LOCK_UNAVAILABLE);
+  }
+  if (acquiredBy === jobId) return;
+
+  const { data: lock } = await supabase
+    .from("job_locks")
+    .select("job_id")
+    .eq("job_type", type)
+    .maybeSingle();
+
+  const lockedError = new Error(JOB_ERRORS.LOCKED);
+  lockedError.jobId = lock?.job_id ?? null;
+  throw lockedError;
+};
+
+const releaseJobLock = async (job) => {
+  const { error } = await supabase
+    .from("job_locks")
+    .delete()
+    .eq("job_type", job.type)
+    .eq("job_id", job.id);
+
+  // Left behind, the lock is taken over once its heartbeat goes stale
+  if (error) {
+    logger.warn("Failed to release job lock", {
+      filepath,
+      jobId: job.id,
+      error: error.message,
+    });
+  }
+};
+
+const refreshJobLock = async (job) => {
+  const { error } = await supabase
+    .from("job_locks")
+    .update({ heartbeat_at: new Date().toISOString() })
+    .eq("job_id", job.id);
+
+  if (error) {
+    logger.warn("Failed to refresh job lock", {
+      filepath,
+      jobId: job.id,
+      error: error.message,
+    });
+  }
+};
+
+setInterval(() => {
+  for (const job of activeJobs.values()) {
+    if (job.status !== "running") continue;
+    job.updated_at = new Date().toISOString();
+    persistJob(job);
+    refreshJobLock(job);
+  }
+}, HEARTBEAT_MS).unref();
+
+const staleCutoff = () => new Date(Date.now() - STALE_JOB_MS).toISOString();
+
+// Persisted rows of jobs that stopped without finishing read as "interrupted"
+const withDerivedStatus = (job) =>
+  job.status === "running" &&
+  new Date(job.updated_at) < Date.now() - STALE_JOB_MS
+    ? { ...job, status: "interrupted" }
+    : job;
+
+const pruneFinishedJobs = () => {
+  const finished = [...activeJobs.values()].filter(
+    (job) => job.status !== "running"
+  );
+  for (const job of finished.slice(0, finished.length - MAX_FINISHED_JOBS)) {
+    activeJobs.delete(job.id);
+  }
+};
+
+const findJobByIdempotencyKey = async (type, idempotencyKey) => {
+  const { data, error } = await supabase
+    .from("jobs")
+    .select("*")
+    .eq("type", type)
+    .eq("idempotency_key", idempotencyKey)
+    .maybeSingle();
+
+  if (error) {
+    logger.error("Failed to look up idempotency key", {
+      filepath,
+      type,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  return data && (activeJobs.get(data.id) || withDerivedStatus(data));
+};
+
+const createJob = async (type, params, idempotencyKey) => {
+  const id = crypto.randomUUID();
+  await acquireJobLock(type, id);
+
+  const now = new Date().toISOString();
+  const job = {
+    id,
+    type,
+    status: "running",
+    params,
+    progress: {},
+    checkpoint: null,
+    result: null,
+    error: null,
+    idempotency_key: idempotencyKey,
+    created_at: now,
+    updated_at: now,
+    finished_at: null,
+  };
+
+  activeJobs.set(job.id, job);
+  jobControllers.set(job.id, new AbortController());
+  await persistJob(job);
+
+  logger.info("Job registered", { filepath, jobId: job.id, type });
+  return job;
+};
+
+/**
+ * Registers a new running job, unless a trigger with the same Idempotency-Key
+ * already did
+ * @param {string} type - One of JOB_TYPES
+ * @param {Object} params - What the job was asked to do, e.g. the scrape options
+ * @param {string|null} [idempotencyKey=null] - Idempotency-Key request header
+ * @param {Function|null} [beforeCreate=null] - Async check run only when a new
+ *   job would be created, e.g. the Apify budget; its errors are rethrown
+ * @returns {Promise<{job: Object, existing: boolean}>} existing is true when the
+ *   job was started by an earlier request and must not be run again
+ * @throws {Error} With one of JOB_ERRORS when the key is invalid or another job
+ *   of this type holds the lock
+ */
+export const startJob = async (
+  type,
+  params = {},
+  idempotencyKey = null,
+  beforeCreate = null
+) => {
+  if (idempotencyKey !== null) {
+    if (!idempotencyKey || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      throw new Error(JOB_ERRORS.IDEMPOTENCY_KEY);
+    }
+
+    const existing = await findJobByIdempotencyKey(type, idempotencyKey);
+    if (existing) return { job: existing, existing: true };
+  }
+
+  if (beforeCreate) await beforeCreate();
+
+  try {
+    const job = await createJob(type, params, idempotencyKey);
+    return { job, existing: false };
+  } catch (error) {
+    // A retry of the same request can race the original for the lock
+    if (error.message === JOB_ERRORS.LOCKED && idempotencyKey !== null) {
+      const existing = await findJobByIdempotencyKey(type, idempotencyKey);
+      if (existing) return { job: existing, existing: true };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Merges progress counters into a running job, e.g. { batchIndex, storesProcessed }
+ * @param {string} id - Job id
+ * @param {Object} progress - Fields to set on job.progress
+ */
+export const updateJobProgress = async (id, progress) => {
+  const job = activeJobs.get(id);
+  if (!job) return;
+
+  job.progress = { ...job.progress, ...progress };
+  job.updated_at = new Date().toISOString();
+  await persistJob(job);
+};
+
+/**
+ * Records how far a running job got, so POST /jobs/:id/resume can skip that work
+ * @param {string} id - Job id
+ * @param {Object} checkpoint - Type-specific state, e.g. { completedTargets } for scrapes
+ */
+export const saveJobCheckpoint = async (id, checkpoint) => {
+  const job = activeJobs.get(id);
+  if (!job) return;
+
+  job.checkpoint = checkpoint;
+  job.updated_at = new Date().toISOString();
+  await persistJob(job);
+};
+
+/**
+ * Signal that fires when POST /jobs/:id/cancel is called for a job running here
+ * @param {string|null} id - Job id
+ * @returns {AbortSignal|undefined} undefined when the job isn't running here
+ */
+export const getJobSignal = (id) => jobControllers.get(id)?.signal;
+
+const finishJob = async (id, fields) => {
+  const job = activeJobs.get(id);
+  if (!job) return;
+
+  jobControllers.delete(id);
+  const now = new Date().toISOString();
+  Object.assign(job, fields, { updated_at: now, finished_at: now });
+  await persistJob(job);
+  await releaseJobLock(job);
+  pruneFinishedJobs();
+
+  logger.info("Job finished", { filepath, jobId: id, status: job.status });
+};
+
+/**
+ * Marks a job as completed
+ * @param {string} id - Job id
+ * @param {Object} result - Final summary, e.g. the scrape summary or processingDetails
+ */
+export const completeJob = (id, result) =>
+  finishJob(id, { status: "completed", result });
+
+/**
+ * Marks a job as failed
+ * @param {string} id - Job id
+ * @param {Error} error - Why the job stopped
+ * @param {Object} [result=null] - Partial results gathered before the failure
+ */
+export const failJob = (id, error, result = null) =>
+  finishJob(id, { status: "failed", error: error.message, result });
+
+/**
+ * Marks a job as stopped by a cancel request
+ * @param {string} id - Job id
+ * @param {Object} [result=null] - Partial results written before it stopped
+ */
+export const markJobCancelled = (id, result = null) =>
+  finishJob(id, { status: "cancelled", result });
+
+/**
+ * Fetches one job, from the database or this process's registry
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} Job record, or null when it doesn't exist
+ */
+export const getJob = async (id) => {
+  // A job running here is more current than its last persisted copy
+  if (activeJobs.has(id)) return activeJobs.get(id);
+
+  const { data, error } = await supabase
+    .from("jobs")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) {
+    logger.error("Failed to fetch job", {
+      filepath,
+      jobId: id,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  return data && withDerivedStatus(data);
+};
+
+/**
+ * Lists jobs, newest first
+ * @param {Object} [params]
+ * @param {string} [params.type] - Only jobs of this type
+ * @param {string} [params.status] - Only jobs with this status
+ * @param {number} [params.limit=20] - Maximum number of jobs
+ * @returns {Promise<Array>} Job records
+ */
+export const listJobs = async ({ type, status, limit = 20 } = {}) => {
+  let query = supabase
+    .from("jobs")
+    .select("*")
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (type) query = query.eq("type", type);
+  if (status === "interrupted") {
+    query = query.eq("status", "running").lt("updated_at", staleCutoff());
+  } else if (status === "running") {
+    query = query.eq("status", status).gte("updated_at", staleCutoff());
+  } else if (status) {
+    query = query.eq("status", status);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    logger.error("Failed to list jobs", { filepath, error: error.message });
+    throw error;
+  }
+
+  // Replace persisted copies with the live ones for jobs running here
+  return data.map((job) => activeJobs.get(job.id) || withDerivedStatus(job));
+};
+
+/**
+ * Sets the function that continues an unfinished job of a type from its checkpoint.
+ * The runner owns the job from then on and must call completeJob or failJob.
+ * @param {string} type - One of JOB_TYPES
+ * @param {Function} runner - Called with the job record, including checkpoint
+ */
+export const registerJobRunner = (type, runner) => {
+  jobRunners.set(type, runner);
+};
+
+/**
+ * Restarts a failed, cancelled or interrupted job in this process from its last checkpoint
+ * @param {string} id - Job id
+ * @returns {Promise<Object>} The job record, running again
+ * @throws {Error} With one of JOB_ERRORS when the job can't be resumed
+ */
+export const resumeJob = async (id) => {
+  const job = await getJob(id);
+  if (!job) throw new Error(JOB_ERRORS.NOT_FOUND);
+  if (job.status === "running") throw new Error(JOB_ERRORS.RUNNING);
+  if (job.status === "completed") throw new Error(JOB_ERRORS.COMPLETED);
+
+  const runner = jobRunners.get(job.type);
+  if (!runner) throw new Error(JOB_ERRORS.NOT_RESUMABLE);
+
+  await acquireJobLock(job.type, id);
+
+  Object.assign(job, {
+    status: "running",
+    error: null,
+    updated_at: new Date().toISOString(),
+    finished_at: null,
+  });
+  activeJobs.set(id, job);
+  jobControllers.set(id, new AbortController());
+  await persistJob(job);
+
+  logger.info("Job resumed", {
+    filepath,
+    jobId: id,
+    type: job.type,
+    checkpoint: Boolean(job.checkpoint),
+  });
+
+  runner(job);
+  return job;
+};
+
+/**
+ * Stops a job. A job running here is signalled and finishes as "cancelled" once
+ * its runner has written what it already did; an interrupted job is marked
+ * cancelled straight away.
+ * @param {string} id - Job id
+ * @returns {Promise<Object>} The job record
+ * @throws {Error} With one of JOB_ERRORS when the job can't be cancelled here
+ */
+export const cancelJob = async (id) => {
+  const job = await getJob(id);
+  if (!job) throw new Error(JOB_ERRORS.NOT_FOUND);
+
+  if (job.status === "interrupted") {
+    activeJobs.set(id, job);
+    await markJobCancelled(id, job.result);
+    return job;
+  }
+  if (job.status !== "running") throw new Error(JOB_ERRORS.NOT_RUNNING);
+
+  const controller = jobControllers.get(id);
+  if (!controller) throw new Error(JOB_ERRORS.REMOTE);
+
+  if (!controller.signal.aborted) {
+    controller.abort();
+    await updateJobProgress(id, {
+      cancelRequestedAt: new Date().toISOString(),
+    });
+    logger.info("Job cancellation requested", { filepath, jobId: id });
+  }
+  return job;
+};
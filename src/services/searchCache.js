@@ -0,0 +1,154 @@
+import crypto from "crypto";
+import config from "../config/config.js";
+import logger from "../utils/logger.js";
+
+const filepath = "services/searchCache.js";
+
+/**
+ * Storage behind the search cache. The in-memory LRU below is the default;
+ * a shared store (e.g. Redis) can implement the same async methods and be
+ * installed with setSearchCacheStore so every instance sees invalidations.
+ *
+ * @typedef {Object} SearchCacheStore
+ * @property {(key: string) => Promise<Object|undefined>} get - Cached entry or undefined
+ * @property {(key: string, entry: Object, ttlMs: number) => Promise<void>} set
+ * @property {() => Promise<void>} clear - Drop every entry
+ */
+
+/**
+ * Creates an in-process LRU cache store
+ * @param {Object} options
+ * @param {number} options.maxEntries - Least recently used entries are evicted past this size
+ * @returns {SearchCacheStore}
+ */
+export const createMemoryCacheStore = ({ maxEntries }) => {
+  // Map keeps insertion order, so the first key is always the least recently used
+  const entries = new Map();
+
+  return {
+    get: async (key) => {
+      const item = entries.get(key);
+      if (!item) return undefined;
+
+      if (item.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      entries.delete(key);
+      entries.set(key, item);
+      return item.entry;
+    },
+    set: async (key, entry, ttlMs) => {
+      entries.delete(key);
+      entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    clear: async () => {
+      entries.clear();
+    },
+  };
+};
+
+let store = createMemoryCacheStore({
+  maxEntries: config.searchCache.maxEntries,
+});
+
+/**
+ * Replaces the cache storage, e.g. with a shared store
+ * @param {SearchCacheStore} newStore
+ */
+export const setSearchCacheStore = (newStore) => {
+  store = newStore;
+};
+
+// Raised by every invalidation, so a search computed from the stores as they
+// were before it isn't cached after the clear
+let generation = 0;
+
+// Rounds to ~110m so nearby requests share cache entries
+const COORDINATE_PRECISION = 3;
+
+/**
+ * Rounds search coordinates so they can be used both in the cache key and for the search itself
+ */
+export const normalizeCoordinates = ({ latitude, longitude }) => ({
+  latitude: +latitude.toFixed(COORDINATE_PRECISION),
+  longitude: +longitude.toFixed(COORDINATE_PRECISION),
+});
+
+// Stable JSON: object keys sorted so equivalent parameters give the same key
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Returns a cached search response, or computes and caches it.
+ * Entries also expire after config.searchCache.ttlSeconds because
+ * is_open_now/next_open depend on the time, not just the stores table.
+ * @param {string} kind - Search type, e.g. "radius", "nearest", "bbox"
+ * @param {Object} params - Everything the response depends on
+ * @param {() => Promise<Object>} compute - Runs the search on a cache miss
+ * @returns {Promise<{value: Object, etag: string, hit: boolean}>}
+ */
+export const getOrComputeSearch = async (kind, params, compute) => {
+  const key = `${kind}:${stableStringify(params)}`;
+
+  try {
+    const cached = await store.get(key);
+    if (cached) return { ...cached, hit: true };
+  } catch (error) {
+    // A broken cache shouldn't break search
+    logger.warn("Search cache read failed", { filepath, error: error.message });
+  }
+
+  const startedGeneration = generation;
+  const value = await compute();
+  const etag = `W/"${crypto
+    .createHash("sha1")
+    .update(JSON.stringify(value))
+    .digest("base64url")}"`;
+
+  // Invalidated while computing, so the result may predate the write
+  if (generation !== startedGeneration) return { value, etag, hit: false };
+
+  try {
+    await store.set(key, { value, etag }, config.searchCache.ttlSeconds * 1000);
+  } catch (error) {
+    logger.warn("Search cache write failed", {
+      filepath,
+      error: error.message,
+    });
+  }
+
+  return { value, etag, hit: false };
+};
+
+/**
+ * Drops all cached search responses. Called after anything writes to stores.
+ */
+export const invalidateSearchCache = async () => {
+  generation++;
+  try {
+    await store.clear();
+    logger.info("Search cache invalidated", { filepath });
+  } catch (error) {
+    logger.error("Search cache invalidation failed", {
+      filepath,
+      error: error.message,
+    });
+  }
+};
@@ -1,6 +1,7 @@
 import { createClient } from "@supabase/supabase-js";
 import config from "../config/config.js";
 import logger from "../utils/logger.js";
+import { invalidateSearchCache } from "./searchCache.js";
 
 const filepath = "services/supabaseServicesAI.js";
 const supabase = createClient(config.supabase.url, config.supabase.key);
@@ -19,7 +20,8 @@ const supabase = createClient(config.supabase.url, config.supabase.key);
  * @param {number|null} [options.limit=null] - Maximum number of stores to fetch
  *   - null means no limit will be applied
  *   - Ignored in 'single' mode
- * @returns {Promise<Array>} Array of store objects with their details
+ * @returns {Promise<Object>} { fetchNextBatch(afterPlaceId, fetchedCount), batchSize };
+ *   each batch is { stores, hasMore, lastPlaceId }, stores in place_id order
  */
 export const fetchStoresDb = async ({
   mode = "unprocessed",
@@ -44,46 +46,54 @@ export const fetchStoresDb = async ({
 
     const BATCH_SIZE = 50;
 
-    let query = supabase
-      .from("stores")
-      .select(
-        "place_id, name, subtitle, description, categories, total_score, reviews, questions_and_answers, reviews_count"
-      );
-
-    // Apply mode-specific filters
-    switch (mode) {
-      case "unprocessed":
-        query = query.is("ai_summary", null);
-        break;
-      case "single":
-        query = query.eq("place_id", place_id);
-        break;
-      case "state":
-        query = query.in("state", states).is("ai_summary", null);
-        break;
-    }
+    const buildQuery = () => {
+      let query = supabase
+        .from("stores")
+        .select(
+          "place_id, name, subtitle, description, categories, total_score, reviews, questions_and_answers, reviews_count"
+        );
+
+      // Apply mode-specific filters
+      switch (mode) {
+        case "unprocessed":
+          query = query.is("ai_summary", null);
+          break;
+        case "single":
+          query = query.eq("place_id", place_id);
+          break;
+        case "state":
+          query = query.in("state", states).is("ai_summary", null);
+          break;
+      }
+      return query;
+    };
 
     return {
-      fetchNextBatch: async (startIndex) => {
+      // Pages by place_id rather than offset: processed stores leave the
+      // ai_summary IS NULL set, so offsets would skip stores never processed
+      fetchNextBatch: async (afterPlaceId = null, fetchedCount = 0) => {
         logger.info(`Fetching batch of stores`, {
           filepath,
-          startIndex,
+          afterPlaceId,
           batchSize: BATCH_SIZE,
           mode,
           state: mode === "state" ? states.join(", ") : undefined,
         });
 
-        const paginatedQuery = query
-          .range(startIndex, startIndex + BATCH_SIZE - 1)
-          .limit(limit ? Math.min(BATCH_SIZE, limit - startIndex) : BATCH_SIZE);
+        let paginatedQuery = buildQuery().order("place_id");
+        if (afterPlaceId) {
+          paginatedQuery = paginatedQuery.gt("place_id", afterPlaceId);
+        }
 
-        const { data, error } = await paginatedQuery;
+        const { data, error } = await paginatedQuery.limit(
+          limit ? Math.min(BATCH_SIZE, limit - fetchedCount) : BATCH_SIZE
+        );
 
         if (error) throw error;
 
         const hasMore =
           data?.length === BATCH_SIZE &&
-          (!limit || startIndex + BATCH_SIZE < limit);
+          (!limit || fetchedCount + BATCH_SIZE < limit);
 
         logger.info(`Batch fetch complete`, {
           filepath,
@@ -91,7 +101,11 @@ export const fetchStoresDb = async ({
           hasMore,
         });
 
-        return { stores: data || [], hasMore };
+        return {
+          stores: data || [],
+          hasMore,
+          lastPlaceId: data?.length ? data[data.length - 1].place_id : null,
+        };
       },
       batchSize: BATCH_SIZE,
     };
@@ -172,5 +186,10 @@ export const writeAISummariesToDb = async (storeSummaries) => {
     }
   }
 
+  // Search responses include ai_summary, so cached results are now stale
+  if (successful.length > 0) {
+    await invalidateSearchCache();
+  }
+
   return { successful, failed };
 };
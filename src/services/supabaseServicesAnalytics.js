@@ -0,0 +1,181 @@
+import { createClient } from "@supabase/supabase-js";
+import crypto from "crypto";
+import config from "../config/config.js";
+import logger from "../utils/logger.js";
+import { findNearestCity } from "../utils/placeLookup.js";
+
+const filepath = "services/supabaseServicesAnalytics.js";
+const supabase = createClient(config.supabase.url, config.supabase.key);
+
+// Without a configured secret, hashes are only comparable within this process
+const ipHashSecret =
+  config.analytics.ipHashSecret || crypto.randomBytes(32).toString("hex");
+
+/**
+ * Hashes a client IP so searches can be grouped per client without storing the IP
+ * @param {string} ip
+ * @returns {string|null} Hex HMAC-SHA256, or null when there is no IP
+ */
+export const hashClientIp = (ip) =>
+  ip
+    ? crypto.createHmac("sha256", ipHashSecret).update(ip).digest("hex")
+    : null;
+
+/**
+ * Writes one row to search_events. Failures are logged, never thrown, so
+ * analytics can't break or slow down a search.
+ * @param {Object} event - Row matching db_schemas/search_events_schema.txt
+ */
+export const recordSearchEvent = async (event) => {
+  try {
+    const { error } = await supabase.from("search_events").insert(event);
+    if (error) throw error;
+  } catch (error) {
+    logger.warn("Failed to record search event", {
+      filepath,
+      searchType: event.search_type,
+      error: error.message,
+    });
+  }
+};
+
+const sinceDaysAgo = (days) =>
+  new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+/**
+ * Most searched ZIP codes with their result counts and nearest store distance
+ * @param {Object} params
+ * @param {number} params.days - Look back this many days
+ * @param {number} params.limit - Maximum number of ZIP codes
+ * @returns {Promise<Array>} Rows from the search_top_zips function
+ */
+export const getTopSearchedZips = async ({ days, limit }) => {
+  const { data, error } = await supabase.rpc("search_top_zips", {
+    since: sinceDaysAgo(days),
+    result_limit: limit,
+  });
+
+  if (error) {
+    logger.error("Failed to fetch top searched ZIPs", {
+      filepath,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Postal codes whose searches returned no stores, with the distance to the
+ * nearest store and the nearest US city (null for Canadian codes or when the
+ * gazetteer is missing)
+ * @param {Object} params
+ * @param {number} params.days - Look back this many days
+ * @param {number} params.limit - Maximum number of ZIP codes
+ * @returns {Promise<Array>} Rows from the search_zero_result_zips function
+ */
+export const getZeroResultZips = async ({ days, limit }) => {
+  const { data, error } = await supabase.rpc("search_zero_result_zips", {
+    since: sinceDaysAgo(days),
+    result_limit: limit,
+  });
+
+  if (error) {
+    logger.error("Failed to fetch zero-result ZIPs", {
+      filepath,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  return data.map((zip) => {
+    let area = null;
+    try {
+      // The gazetteer only covers the US
+      if (zip.country_code !== "CA") area = findNearestCity(zip);
+    } catch {
+      // The report is still useful without city names
+    }
+    return {
+      ...zip,
+      city: area?.city ?? null,
+      state: area?.stateName ?? null,
+    };
+  });
+};
+
+// ZIPs sampled when building scrape targets; several ZIPs usually share a city
+const SCRAPE_TARGET_ZIP_SAMPLE = 500;
+
+/**
+ * Turns zero-result ZIP codes into the cities and states to scrape next,
+ * most unmet searches first
+ * @param {Object} params
+ * @param {number} params.days - Look back this many days
+ * @param {number} params.limit - Maximum number of cities
+ * @returns {Promise<{cities: Array, states: Array}>} cities hold
+ *   { city, state, zipCodes, zeroResultSearches, nearestStoreMiles }; state is
+ *   the full state name, as used by the scraper
+ * @throws {Error} "Place search unavailable" when the gazetteer is missing
+ */
+export const getScrapeTargets = async ({ days, limit }) => {
+  const zips = await getZeroResultZips({
+    days,
+    limit: SCRAPE_TARGET_ZIP_SAMPLE,
+  });
+  const usZips = zips.filter((zip) => zip.country_code !== "CA");
+  if (usZips.length && usZips.every((zip) => !zip.state)) {
+    throw new Error("Place search unavailable");
+  }
+
+  const cities = new Map();
+  for (const zip of zips) {
+    if (!zip.state) continue;
+
+    const key = `${zip.city}|${zip.state}`;
+    if (!cities.has(key)) {
+      cities.set(key, {
+        city: zip.city,
+        state: zip.state,
+        zipCodes: [],
+        zeroResultSearches: 0,
+        nearestStoreMiles: null,
+      });
+    }
+
+    const target = cities.get(key);
+    target.zipCodes.push(zip.zip_code);
+    target.zeroResultSearches += Number(zip.zero_result_searches);
+    if (
+      zip.nearest_store_miles !== null &&
+      (target.nearestStoreMiles === null ||
+        Number(zip.nearest_store_miles) < target.nearestStoreMiles)
+    ) {
+      target.nearestStoreMiles = Number(zip.nearest_store_miles);
+    }
+  }
+
+  const rankedCities = [...cities.values()]
+    .sort((a, b) => b.zeroResultSearches - a.zeroResultSearches)
+    .slice(0, limit);
+
+  const states = new Map();
+  for (const target of rankedCities) {
+    const state = states.get(target.state) || {
+      state: target.state,
+      cities: 0,
+      zeroResultSearches: 0,
+    };
+    state.cities++;
+    state.zeroResultSearches += target.zeroResultSearches;
+    states.set(target.state, state);
+  }
+
+  return {
+    cities: rankedCities,
+    states: [...states.values()].sort(
+      (a, b) => b.zeroResultSearches - a.zeroResultSearches
+    ),
+  };
+};
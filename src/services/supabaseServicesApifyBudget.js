@@ -0,0 +1,448 @@
+import { createClient } from "@supabase/supabase-js";
+import config from "../config/config.js";
+import logger from "../utils/logger.js";
+
+const filepath = "services/supabaseServicesApifyBudget.js";
+const supabase = createClient(config.supabase.url, config.supabase.key);
+
+export const APIFY_BUDGET_ERRORS = {
+  JOB: "Projected Apify cost exceeds the job budget",
+  MONTHLY: "Projected Apify cost exceeds the monthly budget",
+  UNAVAILABLE: "Apify budget unavailable",
+};
+
+const roundUsd = (value) => Math.round(value * 10000) / 10000;
+
+const sinceDaysAgo = (days) =>
+  new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+// Budgets are per calendar month in UTC, matching the spend report
+const startOfMonth = (monthsAgo = 0) => {
+  const now = new Date();
+  return new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - monthsAgo, 1)
+  ).toISOString();
+};
+
+const jobBudgetOf = (job) => job.budgetUsd ?? config.apifyBudget.jobUsd;
+
+const scopeOf = ({ city }) => (city ? "city" : "state");
+
+// Same actor overrides give the same key, whatever order their keys are in
+const overridesKeyOf = (overrides) =>
+  JSON.stringify(
+    Object.entries(overrides || {}).sort(([a], [b]) => a.localeCompare(b))
+  );
+
+// History groups a target is projected from, most specific first; the other
+// actor settings groups are only used when no run had the job's overrides
+const HISTORY_BASES = [
+  {
+    basis: "state",
+    key: ({ state, scope, overrides }) => `${state}|${scope}|${overrides}`,
+  },
+  {
+    basis: "all states",
+    key: ({ scope, overrides }) => `*|${scope}|${overrides}`,
+  },
+  {
+    basis: "state, other actor settings",
+    key: ({ state, scope }) => `${state}|${scope}|*`,
+  },
+  {
+    basis: "all states, other actor settings",
+    key: ({ scope }) => `*|${scope}|*`,
+  },
+];
+
+// Totals of recent runs, by state, run scope and actor overrides
+const loadCostHistory = async () => {
+  const { data, error } = await supabase.rpc("apify_cost_estimates", {
+    since: sinceDaysAgo(config.apifyBudget.historyDays),
+  });
+
+  if (error) {
+    logger.error("Failed to load Apify cost history", {
+      filepath,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  const history = new Map();
+  for (const row of data) {
+    const group = {
+      state: row.state,
+      scope: row.city_run ? "city" : "state",
+      overrides: overridesKeyOf(row.actor_overrides),
+    };
+    for (const { key } of HISTORY_BASES) {
+      const totals = history.get(key(group)) || {
+        queries: 0,
+        results: 0,
+        costUsd: 0,
+      };
+      totals.queries += Number(row.queries);
+      totals.results += Number(row.results);
+      totals.costUsd += Number(row.cost_usd);
+      history.set(key(group), totals);
+    }
+  }
+  return history;
+};
+
+// Projected cost of one target. History gives the cost and results per search
+// query; a job whose maxResults is below the results per query is scaled down.
+const projectTargetCost = (history, job, target) => {
+  const group = {
+    state: target.state,
+    scope: scopeOf(target),
+    overrides: overridesKeyOf(job.actorOverrides),
+  };
+  const match = HISTORY_BASES.map(({ basis, key }) => ({
+    basis,
+    totals: history.get(key(group)),
+  })).find(({ totals }) => totals?.queries);
+
+  let costPerQueryUsd = config.apifyBudget.defaultQueryCostUsd;
+  let basis = "default";
+  if (match) {
+    const { queries, results, costUsd } = match.totals;
+    const resultsPerQuery = results / queries;
+    costPerQueryUsd =
+      (costUsd / queries) *
+      (resultsPerQuery > job.maxResults ? job.maxResults / resultsPerQuery : 1);
+    basis = match.basis;
+  }
+
+  return {
+    state: target.state,
+    city: target.city,
+    estimatedCostUsd: roundUsd(costPerQueryUsd * job.searchQueries.length),
+    basis,
+  };
+};
+
+/**
+ * Projected Apify cost of scraping some targets. Each target costs the per-query
+ * cost of earlier runs in its state (whole-state and city runs are kept apart)
+ * with the same actor overrides, times the number of search queries. The cost
+ * per query is scaled down when the job's maxResults is below what those runs
+ * returned per query. Without such runs the average of all states is used, then
+ * runs with other actor overrides, then config.apifyBudget.defaultQueryCostUsd.
+ * @param {Object} job - Output of parseScrapeJobOptions
+ * @param {Array<{state: string, city: string}>} [targets=job.targets]
+ * @returns {Promise<{projectedCostUsd: number, targets: Array<Object>}>} targets
+ *   hold { state, city, estimatedCostUsd, basis }, basis being "state",
+ *   "all states", "state, other actor settings",
+ *   "all states, other actor settings" or "default"
+ */
+export const estimateScrapeCost = async (job, targets = job.targets) => {
+  const history = await loadCostHistory();
+  const estimates = targets.map((target) =>
+    projectTargetCost(history, job, target)
+  );
+
+  return {
+    projectedCostUsd: roundUsd(
+      estimates.reduce((sum, target) => sum + target.estimatedCostUsd, 0)
+    ),
+    targets: estimates,
+  };
+};
+
+/**
+ * Apify spend recorded in apify_runs since the start of this UTC month
+ * @returns {Promise<number>} USD
+ */
+export const getMonthSpend = async () => {
+  const { data, error } = await supabase.rpc("apify_spend_since", {
+    since: startOfMonth(),
+  });
+
+  if (error) {
+    logger.error("Failed to read Apify month spend", {
+      filepath,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  return roundUsd(Number(data) || 0);
+};
+
+/**
+ * Checks whether scraping some targets fits the per-job budget (job.budgetUsd,
+ * or config.apifyBudget.jobUsd) and what is left of the monthly budget
+ * @param {Object} job - Output of parseScrapeJobOptions
+ * @param {Array<Object>} targets - Targets about to be scraped
+ * @param {number} [jobSpendUsd=0] - What the job's finished runs already cost
+ * @returns {Promise<Object|null>} null when no limit applies, otherwise
+ *   { projectedCostUsd, jobSpendUsd, jobBudgetUsd, monthSpendUsd,
+ *   monthlyBudgetUsd, exceeded }; exceeded is one of APIFY_BUDGET_ERRORS or null
+ */
+export const checkBudget = async (job, targets, jobSpendUsd = 0) => {
+  const jobBudgetUsd = jobBudgetOf(job);
+  const { monthlyUsd } = config.apifyBudget;
+  if (!jobBudgetUsd && !monthlyUsd) return null;
+
+  let estimate;
+  let monthSpendUsd;
+  try {
+    [estimate, monthSpendUsd] = await Promise.all([
+      estimateScrapeCost(job, targets),
+      getMonthSpend(),
+    ]);
+  } catch {
+    // Without history or spend we can't tell, so don't spend
+    return {
+      jobSpendUsd,
+      jobBudgetUsd,
+      monthlyBudgetUsd: monthlyUsd,
+      exceeded: APIFY_BUDGET_ERRORS.UNAVAILABLE,
+    };
+  }
+
+  const { projectedCostUsd } = estimate;
+  let exceeded = null;
+  if (jobBudgetUsd && jobSpendUsd + projectedCostUsd > jobBudgetUsd) {
+    exceeded = APIFY_BUDGET_ERRORS.JOB;
+  } else if (monthlyUsd && monthSpendUsd + projectedCostUsd > monthlyUsd) {
+    exceeded = APIFY_BUDGET_ERRORS.MONTHLY;
+  }
+
+  return {
+    projectedCostUsd,
+    jobSpendUsd: roundUsd(jobSpendUsd),
+    jobBudgetUsd,
+    monthSpendUsd,
+    monthlyBudgetUsd: monthlyUsd,
+    exceeded,
+  };
+};
+
+/**
+ * Refuses a scrape job whose projected cost would overrun a budget
+ * @param {Object} job - Output of parseScrapeJobOptions
+ * @throws {Error} With one of APIFY_BUDGET_ERRORS; error.budget holds the
+ *   checkBudget result
+ */
+export const assertScrapeBudget = async (job) => {
+  const budget = await checkBudget(job, job.targets);
+  if (!budget?.exceeded) return;
+
+  logger.warn("Scrape job refused by Apify budget", { filepath, ...budget });
+  const error = new Error(budget.exceeded);
+  error.budget = budget;
+  throw error;
+};
+
+/**
+ * Tracks a running scrape job's Apify spend against its budgets: each target is
+ * checked before its actor run starts, and the runs still going are counted at
+ * their projected cost, or what they have cost so far when that is more.
+ * @param {Object} job - Output of parseScrapeJobOptions
+ * @param {number} [jobSpendUsd=0] - What the job's finished runs already cost
+ * @returns {Promise<Object|null>} null when no limit applies, otherwise a guard
+ *   with reserve, track, updateUsage, settle, runningRuns and overrun
+ */
+export const createBudgetGuard = async (job, jobSpendUsd = 0) => {
+  const jobBudgetUsd = jobBudgetOf(job);
+  const { monthlyUsd, runChargeCapMultiplier } = config.apifyBudget;
+  if (!jobBudgetUsd && !monthlyUsd) return null;
+
+  let history = null;
+  let spentUsd = jobSpendUsd;
+  // In-flight runs by target key: { runId, projectedUsd, usageUsd }
+  const running = new Map();
+
+  const committedUsd = () =>
+    [...running.values()].reduce(
+      (sum, run) => sum + Math.max(run.projectedUsd, run.usageUsd),
+      0
+    );
+
+  // What is left of each budget once the running runs are paid for
+  const remaining = async () => {
+    const monthSpendUsd = monthlyUsd ? await getMonthSpend() : 0;
+    const committed = committedUsd();
+    return {
+      monthSpendUsd,
+      jobLeftUsd: jobBudgetUsd ? jobBudgetUsd - spentUsd - committed : Infinity,
+      monthLeftUsd: monthlyUsd
+        ? monthlyUsd - monthSpendUsd - committed
+        : Infinity,
+    };
+  };
+
+  const summarize = (left, fields) => ({
+    jobSpendUsd: roundUsd(spentUsd),
+    jobBudgetUsd,
+    monthSpendUsd: left?.monthSpendUsd,
+    monthlyBudgetUsd: monthlyUsd,
+    runningCostUsd: roundUsd(committedUsd()),
+    ...fields,
+  });
+
+  return {
+    /**
+     * Checks that a target's projected cost fits what is left and counts it
+     * as running. force skips the check, for a run an earlier attempt started.
+     * @returns {Promise<Object>} { projectedCostUsd, chargeCapUsd, exceeded };
+     *   exceeded is one of APIFY_BUDGET_ERRORS or null
+     */
+    reserve: async (key, target, { force = false } = {}) => {
+      let left;
+      let projectedCostUsd;
+      try {
+        history ??= await loadCostHistory();
+        projectedCostUsd = projectTargetCost(
+          history,
+          job,
+          target
+        ).estimatedCostUsd;
+        left = await remaining();
+      } catch {
+        // Without history or spend we can't tell, so don't spend
+        if (!force) {
+          return summarize(left, { exceeded: APIFY_BUDGET_ERRORS.UNAVAILABLE });
+        }
+        projectedCostUsd ??=
+          config.apifyBudget.defaultQueryCostUsd * job.searchQueries.length;
+        left = { jobLeftUsd: Infinity, monthLeftUsd: Infinity };
+      }
+
+      let exceeded = null;
+      if (!force && projectedCostUsd > left.jobLeftUsd) {
+        exceeded = APIFY_BUDGET_ERRORS.JOB;
+      } else if (!force && projectedCostUsd > left.monthLeftUsd) {
+        exceeded = APIFY_BUDGET_ERRORS.MONTHLY;
+      }
+      if (exceeded) return summarize(left, { projectedCostUsd, exceeded });
+
+      running.set(key, {
+        runId: null,
+        projectedUsd: projectedCostUsd,
+        usageUsd: 0,
+      });
+
+      // Apify stops charging the run at this cap; a run projected to cost
+      // nothing still gets whatever is left
+      const leftUsd = Math.min(left.jobLeftUsd, left.monthLeftUsd);
+      const chargeCapUsd = roundUsd(
+        Math.min(leftUsd, projectedCostUsd * runChargeCapMultiplier) || leftUsd
+      );
+      return {
+        projectedCostUsd,
+        chargeCapUsd: Number.isFinite(chargeCapUsd) ? chargeCapUsd : null,
+        exceeded: null,
+      };
+    },
+
+    // Records the Apify run ID of a reserved target
+    track: (key, runId) => {
+      const run = running.get(key);
+      if (run) run.runId = runId;
+    },
+
+    // Sets what a running run has cost so far
+    updateUsage: (key, usageUsd) => {
+      const run = running.get(key);
+      if (run) run.usageUsd = Number(usageUsd) || 0;
+    },
+
+    // Replaces a finished target's reservation with what it actually cost
+    settle: (key, costUsd) => {
+      running.delete(key);
+      spentUsd += costUsd || 0;
+    },
+
+    // { key, runId } of the running runs whose IDs are known
+    runningRuns: () =>
+      [...running.entries()]
+        .filter(([, run]) => run.runId)
+        .map(([key, run]) => ({ key, runId: run.runId })),
+
+    /**
+     * Whether the running runs now look set to overrun a budget
+     * @returns {Promise<Object|null>} The budget numbers with exceeded set, or null
+     */
+    overrun: async () => {
+      const left = await remaining();
+      let exceeded = null;
+      if (left.jobLeftUsd < 0) exceeded = APIFY_BUDGET_ERRORS.JOB;
+      else if (left.monthLeftUsd < 0) exceeded = APIFY_BUDGET_ERRORS.MONTHLY;
+      return exceeded ? summarize(left, { exceeded }) : null;
+    },
+  };
+};
+
+// Adds one report row to its group, creating the group on first use
+const addTo = (groups, key, fields, row) => {
+  const group = groups.get(key) || { ...fields, runs: 0, costUsd: 0 };
+  group.runs += Number(row.runs);
+  group.costUsd += Number(row.cost_usd);
+  groups.set(key, group);
+};
+
+const sortedByCost = (groups) =>
+  [...groups.values()]
+    .map((group) => ({ ...group, costUsd: roundUsd(group.costUsd) }))
+    .sort((a, b) => b.costUsd - a.costUsd);
+
+/**
+ * Apify spend from apify_runs, per month, per state and per scrape job
+ * @param {Object} params
+ * @param {number} params.months - This month and the months before it
+ * @returns {Promise<Object>} { since, runs, costUsd, budget, byMonth, byState,
+ *   byJob }; byJob has jobId null for runs made outside a job
+ */
+export const getSpendReport = async ({ months }) => {
+  const since = startOfMonth(months - 1);
+  const { data, error } = await supabase.rpc("apify_spend_report", { since });
+
+  if (error) {
+    logger.error("Failed to build Apify spend report", {
+      filepath,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  const byMonth = new Map();
+  const byState = new Map();
+  const byJob = new Map();
+  let runs = 0;
+  let costUsd = 0;
+  for (const row of data) {
+    addTo(byMonth, row.month, { month: row.month }, row);
+    addTo(byState, row.state, { state: row.state }, row);
+    addTo(byJob, row.job_id, { jobId: row.job_id }, row);
+    runs += Number(row.runs);
+    costUsd += Number(row.cost_usd);
+  }
+
+  const currentMonth = startOfMonth().slice(0, 7);
+  const monthSpendUsd = roundUsd(byMonth.get(currentMonth)?.costUsd ?? 0);
+  const { monthlyUsd, jobUsd } = config.apifyBudget;
+
+  return {
+    since,
+    runs,
+    costUsd: roundUsd(costUsd),
+    budget: {
+      month: currentMonth,
+      monthSpendUsd,
+      monthlyBudgetUsd: monthlyUsd,
+      monthRemainingUsd: monthlyUsd
+        ? roundUsd(Math.max(monthlyUsd - monthSpendUsd, 0))
+        : null,
+      jobBudgetUsd: jobUsd,
+    },
+    byMonth: [...byMonth.values()]
+      .map((group) => ({ ...group, costUsd: roundUsd(group.costUsd) }))
+      .sort((a, b) => b.month.localeCompare(a.month)),
+    byState: sortedByCost(byState),
+    byJob: sortedByCost(byJob),
+  };
+};
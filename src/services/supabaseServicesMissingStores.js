@@ -0,0 +1,155 @@
+import { createClient } from "@supabase/supabase-js";
+import config from "../config/config.js";
+import logger from "../utils/logger.js";
+import { invalidateSearchCache } from "./searchCache.js";
+
+const filepath = "services/supabaseServicesMissingStores.js";
+const supabase = createClient(config.supabase.url, config.supabase.key);
+
+export const MISSING_STORE_ERRORS = {
+  NOT_FOUND: "Missing store not found",
+};
+
+const REPORT_COLUMNS =
+  "place_id, name, address, city, state, maps_url, last_seen_at, missing_since, missed_scrapes, is_hidden, hidden_reason";
+
+// Stores under review: still missing, or hidden by this check or an admin
+// confirmation (a reappearance resets the misses of confirmed closures)
+const UNDER_REVIEW = "missed_scrapes.gt.0,hidden_reason.not.is.null";
+
+/**
+ * Records which of a state's stores a whole-state scrape returned. Returned
+ * stores are marked seen; the state's other stores get missing_since set and
+ * their miss count raised, and are hidden from search after
+ * config.missingStores.hideAfterMisses consecutive misses.
+ * @param {string} state - Full state name, as stored in stores.state
+ * @param {string[]} seenPlaceIds - place_ids of every item the run returned
+ * @returns {Promise<{reappeared: number, missing: number, newly_hidden: number}>}
+ */
+export const markMissingStores = async (state, seenPlaceIds) => {
+  const { data, error } = await supabase
+    .rpc("mark_missing_stores", {
+      target_state: state,
+      seen_place_ids: seenPlaceIds,
+      hide_after: config.missingStores.hideAfterMisses,
+    })
+    .single();
+
+  if (error) {
+    logger.error("Failed to mark missing stores", {
+      filepath,
+      state,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  logger.info(`Missing store check completed for ${state}`, {
+    filepath,
+    ...data,
+  });
+
+  // Hidden or restored stores change search results
+  if (data.newly_hidden > 0 || data.reappeared > 0) {
+    await invalidateSearchCache();
+  }
+
+  return data;
+};
+
+/**
+ * Stores absent from recent whole-state scrapes, or hidden as missing or
+ * closed, most misses first
+ * @param {Object} [params]
+ * @param {string} [params.state] - Only stores in this state
+ * @param {boolean} [params.hiddenOnly=false] - Only stores already auto-hidden
+ * @param {number} [params.limit=100] - Maximum number of stores
+ * @returns {Promise<Array<Object>>}
+ */
+export const listMissingStores = async ({
+  state,
+  hiddenOnly = false,
+  limit = 100,
+} = {}) => {
+  let query = supabase
+    .from("stores")
+    .select(REPORT_COLUMNS)
+    .or(UNDER_REVIEW)
+    .order("missed_scrapes", { ascending: false })
+    .order("missing_since", { ascending: true })
+    .limit(limit);
+  if (state) query = query.eq("state", state);
+  if (hiddenOnly) query = query.eq("hidden_reason", "missing");
+
+  const { data, error } = await query;
+
+  if (error) {
+    logger.error("Failed to list missing stores", {
+      filepath,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  return data;
+};
+
+const reviewMissingStore = async (placeId, fields, action) => {
+  // Not maybeSingle: PostgREST rejects an update matching no rows in object mode
+  const { data, error } = await supabase
+    .from("stores")
+    .update(fields)
+    .eq("place_id", placeId)
+    .or(UNDER_REVIEW)
+    .select(REPORT_COLUMNS);
+
+  if (error) {
+    logger.error(`Failed to ${action} missing store`, {
+      filepath,
+      placeId,
+      error: error.message,
+    });
+    throw error;
+  }
+  if (!data.length) throw new Error(MISSING_STORE_ERRORS.NOT_FOUND);
+
+  await invalidateSearchCache();
+  logger.info(`Missing store review: ${action}`, { filepath, placeId });
+  return data[0];
+};
+
+/**
+ * Confirms a missing store has closed: it stays hidden, is marked permanently
+ * closed and is no longer restored if a scrape returns it again
+ * @param {string} placeId - Google place ID
+ * @returns {Promise<Object>} The updated store
+ * @throws {Error} MISSING_STORE_ERRORS.NOT_FOUND unless the store is under review
+ */
+export const confirmMissingStore = (placeId) =>
+  reviewMissingStore(
+    placeId,
+    {
+      is_hidden: true,
+      hidden_reason: "confirmed_closed",
+      permanently_closed: true,
+    },
+    "confirm"
+  );
+
+/**
+ * Marks a missing store as a false alarm: it is shown again and its misses reset
+ * @param {string} placeId - Google place ID
+ * @returns {Promise<Object>} The updated store
+ * @throws {Error} MISSING_STORE_ERRORS.NOT_FOUND unless the store is under review
+ */
+export const restoreMissingStore = (placeId) =>
+  reviewMissingStore(
+    placeId,
+    {
+      is_hidden: false,
+      hidden_reason: null,
+      missing_since: null,
+      missed_scrapes: 0,
+    },
+    "restore"
+  );
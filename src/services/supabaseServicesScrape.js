@@ -1,12 +1,85 @@
 import { createClient } from "@supabase/supabase-js";
 import config from "../config/config.js";
 import logger from "../utils/logger.js";
+import { invalidateSearchCache } from "./searchCache.js";
+import { recordStoreHistory } from "./supabaseServicesStoreHistory.js";
+import { TRACKED_STORE_FIELDS } from "../utils/storeChanges.js";
 
 const filepath = "services/supabaseService.js";
 const supabase = createClient(config.supabase.url, config.supabase.key);
 
+// apify_runs columns known before the run's stores are written
+const apifyRunRow = (runDetails) => ({
+  run_id: runDetails.runId,
+  actor_id: runDetails.actorId,
+  status: runDetails.status,
+  status_message: runDetails.statusMessage,
+  timing: runDetails.timing,
+  data_ids: runDetails.data_ids,
+  usage: runDetails.usage,
+  search_params: runDetails.searchParams,
+  results_count: runDetails.resultsCount,
+  job_id: runDetails.jobId ?? null,
+});
+
+/**
+ * Claims a finished run for recording by inserting its apify_runs row, so no
+ * two server processes write its stores. A claim not recorded within
+ * config.apify.runClaimStaleMs (e.g. its process died) is taken over.
+ * @param {Object} runDetails - runDetails from collectRunResults
+ * @returns {Promise<boolean>} false when another process holds the claim or
+ *   already recorded the run
+ */
+export const claimApifyRun = async (runDetails) => {
+  if (!runDetails?.runId) {
+    throw new Error("Missing required field: runId");
+  }
+
+  const claimedAt = new Date().toISOString();
+  const { error } = await supabase
+    .from("apify_runs")
+    .insert({ ...apifyRunRow(runDetails), claimed_at: claimedAt });
+
+  if (!error) return true;
+  // Anything but the unique run_id index turning the insert down is a failure
+  if (error.code !== "23505") {
+    logger.error(`Failed to claim Apify run ${runDetails.runId}`, {
+      filepath,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  const staleBefore = new Date(
+    Date.now() - config.apify.runClaimStaleMs
+  ).toISOString();
+  const { data, error: takeOverError } = await supabase
+    .from("apify_runs")
+    .update({ claimed_at: claimedAt })
+    .eq("run_id", runDetails.runId)
+    .is("recorded_at", null)
+    .lt("claimed_at", staleBefore)
+    .select("id");
+
+  if (takeOverError) {
+    logger.error(`Failed to take over Apify run ${runDetails.runId}`, {
+      filepath,
+      error: takeOverError.message,
+    });
+    throw takeOverError;
+  }
+
+  if (data.length) {
+    logger.warn(`Took over stale claim on Apify run ${runDetails.runId}`, {
+      filepath,
+    });
+  }
+  return data.length > 0;
+};
+
 /**
- * Writes Apify run metadata to the apify_runs table
+ * Writes the results of a run claimed with claimApifyRun to its apify_runs row
+ * and marks it recorded
  */
 export const writeApifyRunDetails = async (runDetails) => {
   try {
@@ -17,18 +90,12 @@ export const writeApifyRunDetails = async (runDetails) => {
 
     const { data, error } = await supabase
       .from("apify_runs")
-      .insert({
-        run_id: runDetails.runId,
-        actor_id: runDetails.actorId,
-        status: runDetails.status,
-        status_message: runDetails.statusMessage,
-        timing: runDetails.timing,
-        data_ids: runDetails.data_ids,
-        usage: runDetails.usage,
-        search_params: runDetails.searchParams,
-        results_count: runDetails.resultsCount,
+      .update({
+        ...apifyRunRow(runDetails),
         store_processing_results: runDetails.store_processing_results,
+        recorded_at: new Date().toISOString(),
       })
+      .eq("run_id", runDetails.runId)
       .select();
 
     if (error) {
@@ -45,13 +112,13 @@ export const writeApifyRunDetails = async (runDetails) => {
 
     if (!data?.length) {
       throw new Error(
-        `No data returned after inserting run ${runDetails.runId}`
+        `No data returned after updating run ${runDetails.runId}`
       );
     }
 
     logger.info(`Stored Apify run details for run ${runDetails.runId}`, {
       filepath,
-      rowId: data[0].id, // Log the inserted row ID
+      rowId: data[0].id, // Log the recorded row ID
     });
     return data[0];
   } catch (error) {
@@ -72,10 +139,38 @@ export const writeApifyRunDetails = async (runDetails) => {
   }
 };
 
+/**
+ * The apify_runs row of a run, once its results have been recorded
+ * @param {string} runId - Apify run ID
+ * @returns {Promise<Object|null>} The row, or null while the run is unrecorded
+ */
+export const getApifyRunDetails = async (runId) => {
+  const { data, error } = await supabase
+    .from("apify_runs")
+    .select("*")
+    .eq("run_id", runId)
+    .not("recorded_at", "is", null)
+    .maybeSingle();
+
+  if (error) {
+    logger.error(`Failed to read Apify run ${runId}`, {
+      filepath,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  return data;
+};
+
 /**
  * Writes or updates store data in the stores table
+ * @param {Array<Object>} stores - Transformed stores
+ * @param {Object|null} [source=null] - { type: "scrape" | "dataset", id } of the
+ *   Apify run or dataset; when set, snapshots and field-level changes are
+ *   recorded in store_snapshots / store_changes
  */
-export const writeStores = async (stores) => {
+export const writeStores = async (stores, source = null) => {
   const MAX_RETRIES = 3;
   const BATCH_SIZE = 100;
 
@@ -125,7 +220,8 @@ export const writeStores = async (stores) => {
           try {
             const { data, error } = await supabase
               .from("stores")
-              .select("place_id")
+              // The tracked fields are the "before" side of the change history
+              .select(["place_id", ...TRACKED_STORE_FIELDS].join(", "))
               .in("place_id", placeIdChunk);
 
             if (error) throw error;
@@ -159,8 +255,8 @@ export const writeStores = async (stores) => {
       }
     }
 
-    const existingPlaceIds = new Set(
-      existingStores?.map((store) => store.place_id) || []
+    const existingById = new Map(
+      existingStores.map((store) => [store.place_id, store])
     );
     const results = {
       successful: [],
@@ -187,7 +283,7 @@ export const writeStores = async (stores) => {
           const processedStores = data || batch;
           results.successful.push(...processedStores);
           processedStores.forEach((store) => {
-            if (existingPlaceIds.has(store.place_id)) {
+            if (existingById.has(store.place_id)) {
               results.updatedStores.push(store);
             } else {
               results.newStores.push(store);
@@ -218,12 +314,28 @@ export const writeStores = async (stores) => {
       }
     }
 
+    // Cached search results may now be stale
+    if (results.successful.length > 0) {
+      await invalidateSearchCache();
+    }
+
+    const history = source
+      ? await recordStoreHistory(
+          results.successful.map((store) => ({
+            store,
+            previous: existingById.get(store.place_id) || null,
+          })),
+          source
+        )
+      : null;
+
     const summary = {
       totalProcessed: validStores.length,
       successful: results.successful.length,
       failed: results.failed.length,
       newStores: results.newStores.length,
       updatedStores: results.updatedStores.length,
+      changedStores: history?.changedStores ?? null,
       failedStores: results.failed.map((store) => ({
         place_id: store.place_id,
         name: store.name,
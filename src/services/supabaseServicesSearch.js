@@ -1,50 +1,387 @@
 import { createClient } from "@supabase/supabase-js";
 import config from "../config/config.js";
 import logger from "../utils/logger.js";
+import { toFilterRpcParams } from "../utils/searchFilters.js";
+import { getStoreOpenStatus } from "../utils/openingHours.js";
+import { formatStoreProfile } from "../utils/formatStoreProfile.js";
+import { getRelevanceBreakdown } from "../utils/storeRanking.js";
+import {
+  parseSearchPagination,
+  toSearchPage,
+} from "../utils/searchPagination.js";
 
 const filepath = "services/supabaseServicesSearch.js";
 const supabase = createClient(config.supabase.url, config.supabase.key);
 
-export const searchStores = async ({ latitude, longitude, radius }) => {
+const formatOpenStatus = ({ timezone, isOpen, nextOpen }) => ({
+  timezone,
+  is_open_now: isOpen,
+  next_open: nextOpen,
+});
+
+// Time the openNow/openAt filter is evaluated at, or null when neither is set
+const getOpenFilterTime = (filters, now) =>
+  filters.openNow ? now : filters.openAt ? new Date(filters.openAt) : null;
+
+// Opening hours can't be checked in SQL, so that filter runs on the RPC results
+const filterOpenStores = (stores, openFilterTime) =>
+  openFilterTime
+    ? stores.filter(
+        (store) => getStoreOpenStatus(store, openFilterTime).isOpen === true
+      )
+    : stores;
+
+// Radii (miles) tried in turn when a search is allowed to expand, capped at the 150 mile maximum
+const EXPANSION_RADII = [10, 25, 50, 100, 150];
+
+const callNearbyStores = async (
+  { latitude, longitude, radius, filters, sort },
+  page = {}
+) => {
+  const radiusInMeters = radius * 1609.34;
+
+  const { data, error } = await supabase.rpc("nearby_stores", {
+    lat: latitude,
+    lng: longitude,
+    radius_meters: radiusInMeters,
+    ...toFilterRpcParams(filters),
+    sort_by: sort,
+    ranking: config.ranking,
+    page_limit: page.limit ?? null,
+    page_offset: page.offset ?? 0,
+  });
+
+  if (error) throw error;
+
+  return data;
+};
+
+// Rows fetched per RPC call while looking for stores open at the filter time
+const OPEN_FILTER_BATCH_SIZE = 200;
+
+/**
+ * Fetches one page of the stores within a radius, sorted by the nearby_stores RPC.
+ * Opening hours can't be checked in SQL, so with that filter the sorted matches
+ * are fetched in batches and filtered here until the page, one store past it
+ * and minResults stores are found, or the matches run out.
+ * @returns {Promise<{rows: Array, total: number, totalIsLowerBound: boolean}>}
+ *   total counts every page; with the opening hours filter it may only be a
+ *   lower bound, when matches were left unchecked
+ */
+const fetchNearbyStores = async ({
+  latitude,
+  longitude,
+  radius,
+  filters,
+  openFilterTime,
+  minResults = 0,
+  pagination: { sort, limit, offset },
+}) => {
+  const query = { latitude, longitude, radius, filters, sort };
+
+  if (openFilterTime) {
+    const wanted = Math.max(offset + limit + 1, minResults);
+    const openStores = [];
+    let checked = 0;
+    let exhausted = false;
+    while (openStores.length < wanted && !exhausted) {
+      const batch = await callNearbyStores(query, {
+        limit: OPEN_FILTER_BATCH_SIZE,
+        offset: checked,
+      });
+      checked += batch.length;
+      exhausted =
+        batch.length < OPEN_FILTER_BATCH_SIZE ||
+        checked >= Number(batch[0].total_count);
+      openStores.push(...filterOpenStores(batch, openFilterTime));
+    }
+    return {
+      rows: openStores.slice(offset, offset + limit),
+      total: openStores.length,
+      totalIsLowerBound: !exhausted,
+    };
+  }
+
+  const rows = await callNearbyStores(query, { limit, offset });
+  if (rows.length > 0) {
+    return {
+      rows,
+      total: Number(rows[0].total_count),
+      totalIsLowerBound: false,
+    };
+  }
+  if (offset === 0) return { rows, total: 0, totalIsLowerBound: false };
+
+  // total_count comes with the rows, so a page past the end needs the first row to count
+  const [first] = await callNearbyStores(query, { limit: 1, offset: 0 });
+  return {
+    rows,
+    total: first ? Number(first.total_count) : 0,
+    totalIsLowerBound: false,
+  };
+};
+
+/**
+ * Formats a store search RPC row for search responses
+ * @param {Object} store - Row returned by nearby_stores, nearest_stores or stores_in_bbox
+ * @param {Date} now - Time used for is_open_now/next_open
+ * @returns {Object} Public store search result
+ */
+const formatSearchStore = (store, now) => ({
+  id: store.id,
+  place_id: store.place_id,
+  name: store.name,
+  address: store.address,
+  latitude: store.latitude,
+  longitude: store.longitude,
+  description: store.description,
+  category_name: store.category_name,
+  website: store.website,
+  phone: store.phone,
+  permanently_closed: store.permanently_closed,
+  temporarily_closed: store.temporarily_closed,
+  opening_hours: store.opening_hours,
+  total_score: store.total_score,
+  reviews_count: store.reviews_count,
+  additional_info: store.additional_info,
+  ai_summary: store.ai_summary || "The AI summary hasn't been processed yet",
+  escooter_repair_confirmed: store.escooter_repair_confirmed,
+  repair_tier: store.repair_tier,
+  service_tiers: store.service_tiers,
+  confidence_score: store.confidence_score,
+  supported_brands: store.supported_brands,
+  last_updated: store.last_updated,
+  maps_url: store.maps_url,
+  distance_miles: +(store.distance_meters / 1609.34).toFixed(1),
+  ...formatOpenStatus(getStoreOpenStatus(store, now)),
+});
+
+/**
+ * Finds stores within a radius of a point and returns one sorted page of them
+ * @param {Object} params
+ * @param {number} params.latitude - Search centre latitude
+ * @param {number} params.longitude - Search centre longitude
+ * @param {number} params.radius - Search radius in miles
+ * @param {Object} [params.filters={}] - Classification and opening hours filters from parseSearchFilters
+ * @param {Object} [params.pagination] - Sort and page from parseSearchPagination
+ * @param {Object|null} [params.expand=null] - When set, widen the radius step by step
+ *   until at least expand.minResults stores are found or the 150 mile cap is reached
+ * @param {boolean} [params.debug=false] - Include each store's relevance_breakdown
+ *   and the ranking configuration (admin only)
+ * @returns {Promise<Object>} Object containing stores and search metadata;
+ *   metadata.total is only a lower bound when metadata.totalIsLowerBound is set
+ */
+export const searchStores = async ({
+  latitude,
+  longitude,
+  radius,
+  filters = {},
+  pagination = parseSearchPagination(),
+  expand = null,
+  debug = false,
+}) => {
   try {
-    const radiusInMeters = radius * 1609.34;
+    // Opening hours are evaluated in each store's own timezone
+    const now = new Date();
+    const openFilterTime = getOpenFilterTime(filters, now);
+
+    const radii = expand
+      ? [radius, ...EXPANSION_RADII.filter((step) => step > radius)]
+      : [radius];
+
+    let usedRadius;
+    let page;
+    for (const candidateRadius of radii) {
+      usedRadius = candidateRadius;
+      page = await fetchNearbyStores({
+        latitude,
+        longitude,
+        radius: candidateRadius,
+        filters,
+        openFilterTime,
+        minResults: expand?.minResults,
+        pagination,
+      });
+
+      if (!expand || page.total >= expand.minResults) break;
+    }
+
+    const storesWithMiles = page.rows.map((store) => {
+      const formatted = formatSearchStore(store, now);
+      // Unrounded distance, so the score matches the one the RPC sorted by
+      const relevance = getRelevanceBreakdown(
+        { ...formatted, distance_miles: store.distance_meters / 1609.34 },
+        usedRadius
+      );
+      return {
+        ...formatted,
+        relevance_score: relevance.score,
+        ...(debug && { relevance_breakdown: relevance.factors }),
+      };
+    });
 
-    const { data, error } = await supabase.rpc("nearby_stores", {
+    const { stores, total, nextCursor } = toSearchPage(
+      storesWithMiles,
+      page.total,
+      pagination
+    );
+
+    return {
+      stores,
+      metadata: {
+        count: stores.length,
+        total,
+        totalIsLowerBound: page.totalIsLowerBound,
+        radius: usedRadius,
+        requestedRadius: radius,
+        expanded: usedRadius !== radius,
+        filters,
+        sort: pagination.sort,
+        limit: pagination.limit,
+        offset: pagination.offset,
+        nextCursor,
+        ...(debug && { ranking: config.ranking }),
+      },
+    };
+  } catch (error) {
+    logger.error("Store search failed:", error, { filepath });
+    throw error;
+  }
+};
+
+// Candidate rows fetched for a nearest search with an opening hours filter, since some will be dropped
+const NEAREST_OPEN_FILTER_POOL = 200;
+
+/**
+ * Finds the N stores closest to a point, however far away they are
+ * @param {Object} params
+ * @param {number} params.latitude - Search centre latitude
+ * @param {number} params.longitude - Search centre longitude
+ * @param {number} params.count - Number of stores to return
+ * @param {Object} [params.filters={}] - Classification and opening hours filters from parseSearchFilters
+ * @returns {Promise<Object>} Object containing stores (nearest first) and metadata
+ */
+export const findNearestStores = async ({
+  latitude,
+  longitude,
+  count,
+  filters = {},
+}) => {
+  try {
+    const now = new Date();
+    const openFilterTime = getOpenFilterTime(filters, now);
+
+    const { data, error } = await supabase.rpc("nearest_stores", {
       lat: latitude,
       lng: longitude,
-      radius_meters: radiusInMeters,
+      result_count: openFilterTime
+        ? Math.max(count, NEAREST_OPEN_FILTER_POOL)
+        : count,
+      ...toFilterRpcParams(filters),
     });
 
     if (error) throw error;
 
-    const storesWithMiles = data.map((store) => ({
-      id: store.id,
-      name: store.name,
-      address: store.address,
-      description: store.description,
-      category_name: store.category_name,
-      website: store.website,
-      phone: store.phone,
-      opening_hours: store.opening_hours,
-      total_score: store.total_score,
-      reviews_count: store.reviews_count,
-      additional_info: store.additional_info,
-      ai_summary:
-        store.ai_summary || "The AI summary hasn't been processed yet",
-      last_updated: store.last_updated,
-      maps_url: store.maps_url,
-      distance_miles: +(store.distance_meters / 1609.34).toFixed(1),
-    }));
+    const stores = filterOpenStores(data, openFilterTime)
+      .slice(0, count)
+      .map((store) => formatSearchStore(store, now));
 
     return {
-      stores: storesWithMiles,
+      stores,
       metadata: {
-        count: data.length,
-        radius,
+        count: stores.length,
+        requestedCount: count,
+        maxDistanceMiles: stores.length
+          ? stores[stores.length - 1].distance_miles
+          : null,
+        filters,
       },
     };
   } catch (error) {
-    logger.error("Store search failed:", error, { filepath });
+    logger.error("Nearest store search failed:", error, { filepath });
+    throw error;
+  }
+};
+
+// Rows fetched per requested store for a bounding box search with an opening hours filter
+const BBOX_OPEN_FILTER_POOL_FACTOR = 4;
+
+/**
+ * Finds stores inside a map viewport
+ * @param {Object} params
+ * @param {Object} params.bounds - { north, south, east, west } in degrees
+ * @param {number} params.limit - Maximum number of stores to return, most reviewed first
+ * @param {Object} [params.filters={}] - Classification and opening hours filters from parseSearchFilters
+ * @returns {Promise<Object>} Object containing stores and metadata; metadata.truncated
+ *   is true when more stores than the limit are inside the box
+ */
+export const searchStoresInBounds = async ({ bounds, limit, filters = {} }) => {
+  try {
+    const now = new Date();
+    const openFilterTime = getOpenFilterTime(filters, now);
+
+    // Fetch one extra row to tell whether the viewport holds more than the
+    // limit, or a larger pool when the opening hours filter will drop some
+    const resultCount = openFilterTime
+      ? limit * BBOX_OPEN_FILTER_POOL_FACTOR
+      : limit + 1;
+    const { data, error } = await supabase.rpc("stores_in_bbox", {
+      north: bounds.north,
+      south: bounds.south,
+      east: bounds.east,
+      west: bounds.west,
+      result_count: resultCount,
+      ...toFilterRpcParams(filters),
+    });
+
+    if (error) throw error;
+
+    const openStores = filterOpenStores(data, openFilterTime);
+    const stores = openStores
+      .slice(0, limit)
+      .map((store) => formatSearchStore(store, now));
+
+    return {
+      stores,
+      metadata: {
+        count: stores.length,
+        bounds,
+        limit,
+        // A full pool may hide more open stores past its end
+        truncated: openStores.length > limit || data.length === resultCount,
+        filters,
+      },
+    };
+  } catch (error) {
+    logger.error("Bounding box store search failed:", error, { filepath });
+    throw error;
+  }
+};
+
+/**
+ * Fetches the public profile of a single store for its shop page
+ * @param {string} placeId - Google place_id of the store
+ * @returns {Promise<Object|null>} Store profile, or null when the store doesn't exist or is hidden
+ */
+export const getStoreProfile = async (placeId) => {
+  try {
+    const { data, error } = await supabase
+      .from("stores")
+      .select(
+        "place_id, name, subtitle, description, category_name, categories, website, phone, maps_url, permanently_closed, temporarily_closed, address, street, city, state, postal_code, country_code, neighborhood, located_in, latitude, longitude, opening_hours, total_score, reviews_count, reviews_distribution, reviews_tags, reviews, questions_and_answers, ai_summary, escooter_repair_confirmed, repair_tier, service_tiers, confidence_score, supported_brands, last_updated"
+      )
+      .eq("place_id", placeId)
+      .not("is_hidden", "is", true)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data ? formatStoreProfile(data) : null;
+  } catch (error) {
+    logger.error("Store profile fetch failed:", error, {
+      filepath,
+      placeId,
+    });
     throw error;
   }
 };
@@ -0,0 +1,131 @@
+import { createClient } from "@supabase/supabase-js";
+import config from "../config/config.js";
+import logger from "../utils/logger.js";
+import { diffStore, snapshotStore } from "../utils/storeChanges.js";
+
+const filepath = "services/supabaseServicesStoreHistory.js";
+const supabase = createClient(config.supabase.url, config.supabase.key);
+
+const INSERT_BATCH_SIZE = 500;
+
+// Recorded for places the stores table didn't have before the run
+const NEW_STORE_CHANGE = {
+  field: "store",
+  old_value: null,
+  new_value: null,
+  summary: "new store",
+};
+
+// Rows already recorded for the same run are skipped, so writing a dataset
+// twice doesn't duplicate its history
+const insertInBatches = async (table, rows, onConflict) => {
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const { error } = await supabase
+      .from(table)
+      .upsert(rows.slice(i, i + INSERT_BATCH_SIZE), {
+        onConflict,
+        ignoreDuplicates: true,
+      });
+    if (error) throw error;
+  }
+};
+
+/**
+ * Records a snapshot of every written store and the fields that changed since
+ * its previous row. Never throws: history must not fail a scrape.
+ * @param {Array<{store: Object, previous: Object|null}>} entries - Written stores
+ *   with the tracked fields of their row before the write (null for new stores)
+ * @param {Object} source - The scrape run or dataset import that wrote them
+ * @param {string} source.type - "scrape" or "dataset"
+ * @param {string} source.id - Apify run ID or dataset ID
+ * @returns {Promise<{changedStores: number, changes: number}>}
+ */
+export const recordStoreHistory = async (entries, source) => {
+  const snapshots = [];
+  const changes = [];
+  let changedStores = 0;
+
+  for (const { store, previous } of entries) {
+    snapshots.push({
+      source: source.type,
+      source_id: source.id,
+      place_id: store.place_id,
+      data: snapshotStore(store),
+    });
+
+    const storeChanges = previous
+      ? diffStore(previous, store)
+      : [NEW_STORE_CHANGE];
+    if (storeChanges.length) changedStores++;
+
+    for (const change of storeChanges) {
+      changes.push({
+        source: source.type,
+        source_id: source.id,
+        place_id: store.place_id,
+        name: store.name,
+        ...change,
+      });
+    }
+  }
+
+  try {
+    await insertInBatches("store_snapshots", snapshots, "source_id,place_id");
+    await insertInBatches("store_changes", changes, "source_id,place_id,field");
+
+    logger.info("Store history recorded", {
+      filepath,
+      source,
+      snapshots: snapshots.length,
+      changedStores,
+      changes: changes.length,
+    });
+  } catch (error) {
+    logger.error("Failed to record store history", {
+      filepath,
+      source,
+      error: error.message,
+    });
+  }
+
+  return { changedStores, changes: changes.length };
+};
+
+const listChanges = async (column, value, limit) => {
+  const { data, error } = await supabase
+    .from("store_changes")
+    .select("*")
+    .eq(column, value)
+    .order("created_at", { ascending: false })
+    .order("place_id", { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    logger.error("Failed to list store changes", {
+      filepath,
+      [column]: value,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Changes recorded by one scrape run or dataset import
+ * @param {string} sourceId - Apify run ID or dataset ID
+ * @param {number} [limit=500] - Maximum number of changes
+ * @returns {Promise<Array<Object>>} store_changes rows
+ */
+export const getRunChanges = (sourceId, limit = 500) =>
+  listChanges("source_id", sourceId, limit);
+
+/**
+ * Change history of one store, newest first
+ * @param {string} placeId - Google place ID
+ * @param {number} [limit=500] - Maximum number of changes
+ * @returns {Promise<Array<Object>>} store_changes rows
+ */
+export const getStoreChanges = (placeId, limit = 500) =>
+  listChanges("place_id", placeId, limit);
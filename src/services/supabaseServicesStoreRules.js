@@ -0,0 +1,262 @@
+import { createClient } from "@supabase/supabase-js";
+import config from "../config/config.js";
+import logger from "../utils/logger.js";
+import {
+  applyStoreRules,
+  DEFAULT_STORE_RULES,
+  STORE_RULE_ERRORS,
+} from "../utils/storeRules.js";
+
+const filepath = "services/supabaseServicesStoreRules.js";
+const supabase = createClient(config.supabase.url, config.supabase.key);
+
+// A scrape batch runs up to 25 actors at once; they share one read of the rules
+const RULES_TTL_MS = 60 * 1000;
+let cachedRules = null;
+let cachedAt = 0;
+
+const invalidateStoreRules = () => {
+  cachedRules = null;
+};
+
+/**
+ * Enabled exclusion/inclusion rules, falling back to DEFAULT_STORE_RULES when
+ * the store_rules table can't be read
+ * @returns {Promise<Array<Object>>} store_rules rows
+ */
+const getActiveStoreRules = async () => {
+  if (cachedRules && Date.now() - cachedAt < RULES_TTL_MS) return cachedRules;
+
+  const { data, error } = await supabase
+    .from("store_rules")
+    .select("id, rule_type, value")
+    .eq("enabled", true);
+
+  if (error) {
+    logger.warn("Failed to load store rules, using the built-in defaults", {
+      filepath,
+      error: error.message,
+    });
+    return DEFAULT_STORE_RULES;
+  }
+
+  cachedRules = data;
+  cachedAt = Date.now();
+  return data;
+};
+
+const recordStoreExclusions = async (exclusions, source) => {
+  if (!exclusions.length) return;
+
+  const rows = exclusions.map(({ store, rule }) => ({
+    place_id: store.place_id,
+    name: store.name,
+    city: store.city,
+    state: store.state,
+    rule_id: rule.id,
+    rule_type: rule.rule_type,
+    rule_value: rule.value,
+    source: source.type,
+    source_id: source.id,
+  }));
+
+  const { error } = await supabase.from("store_exclusions").insert(rows);
+
+  // The stores are still excluded; only the audit trail is missing
+  if (error) {
+    logger.error("Failed to record store exclusions", {
+      filepath,
+      count: rows.length,
+      source,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Drops scraped stores that the store rules exclude and records each exclusion
+ * with the rule that triggered it
+ * @param {Array<Object>} stores - Output of transformStoreData
+ * @param {Object} source - Where the stores came from, for the exclusion records
+ * @param {string} source.type - "scrape" or "dataset"
+ * @param {string} source.id - Apify run ID or dataset ID
+ * @returns {Promise<{stores: Array<Object>, excludedByRule: Object}>} stores to
+ *   ingest, and exclusion counts keyed by "rule_type: value"
+ */
+export const filterStoresByRules = async (stores, source) => {
+  const rules = await getActiveStoreRules();
+  const { stores: kept, exclusions } = applyStoreRules(stores, rules);
+
+  await recordStoreExclusions(exclusions, source);
+
+  const excludedByRule = {};
+  for (const { rule } of exclusions) {
+    const key = `${rule.rule_type}: ${rule.value}`;
+    excludedByRule[key] = (excludedByRule[key] || 0) + 1;
+  }
+
+  return { stores: kept, excludedByRule };
+};
+
+/**
+ * Lists every store rule, enabled or not
+ * @returns {Promise<Array<Object>>} store_rules rows, oldest first
+ */
+export const listStoreRules = async () => {
+  const { data, error } = await supabase
+    .from("store_rules")
+    .select("*")
+    .order("id", { ascending: true });
+
+  if (error) {
+    logger.error("Failed to list store rules", {
+      filepath,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Fetches one store rule
+ * @param {number} id - Rule id
+ * @returns {Promise<Object>} store_rules row
+ * @throws {Error} STORE_RULE_ERRORS.NOT_FOUND when it doesn't exist
+ */
+export const getStoreRule = async (id) => {
+  const { data, error } = await supabase
+    .from("store_rules")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) {
+    logger.error("Failed to fetch store rule", {
+      filepath,
+      id,
+      error: error.message,
+    });
+    throw error;
+  }
+  if (!data) throw new Error(STORE_RULE_ERRORS.NOT_FOUND);
+
+  return data;
+};
+
+/**
+ * Adds a store rule
+ * @param {Object} rule - Output of parseStoreRule
+ * @returns {Promise<Object>} The new store_rules row
+ */
+export const createStoreRule = async (rule) => {
+  const { data, error } = await supabase
+    .from("store_rules")
+    .insert(rule)
+    .select()
+    .single();
+
+  if (error) {
+    logger.error("Failed to create store rule", {
+      filepath,
+      rule,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  invalidateStoreRules();
+  logger.info("Store rule created", { filepath, rule: data });
+  return data;
+};
+
+/**
+ * Changes a store rule
+ * @param {number} id - Rule id
+ * @param {Object} rule - Output of parseStoreRule
+ * @returns {Promise<Object>} The updated store_rules row
+ * @throws {Error} STORE_RULE_ERRORS.NOT_FOUND when it doesn't exist
+ */
+export const updateStoreRule = async (id, rule) => {
+  const { data, error } = await supabase
+    .from("store_rules")
+    .update({ ...rule, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select();
+
+  if (error) {
+    logger.error("Failed to update store rule", {
+      filepath,
+      id,
+      error: error.message,
+    });
+    throw error;
+  }
+  // Not maybeSingle: PostgREST rejects an update matching no rows in object mode
+  if (!data.length) throw new Error(STORE_RULE_ERRORS.NOT_FOUND);
+
+  invalidateStoreRules();
+  logger.info("Store rule updated", { filepath, rule: data[0] });
+  return data[0];
+};
+
+/**
+ * Removes a store rule. Its past exclusions stay recorded.
+ * @param {number} id - Rule id
+ * @throws {Error} STORE_RULE_ERRORS.NOT_FOUND when it doesn't exist
+ */
+export const deleteStoreRule = async (id) => {
+  const { data, error } = await supabase
+    .from("store_rules")
+    .delete()
+    .eq("id", id)
+    .select("id");
+
+  if (error) {
+    logger.error("Failed to delete store rule", {
+      filepath,
+      id,
+      error: error.message,
+    });
+    throw error;
+  }
+  if (!data.length) throw new Error(STORE_RULE_ERRORS.NOT_FOUND);
+
+  invalidateStoreRules();
+  logger.info("Store rule deleted", { filepath, id });
+};
+
+/**
+ * Lists recorded exclusions, newest first
+ * @param {Object} [params]
+ * @param {number} [params.ruleId] - Only exclusions by this rule
+ * @param {string} [params.placeId] - Only exclusions of this place
+ * @param {number} [params.limit=100] - Maximum number of rows
+ * @returns {Promise<Array<Object>>} store_exclusions rows
+ */
+export const listStoreExclusions = async ({
+  ruleId,
+  placeId,
+  limit = 100,
+} = {}) => {
+  let query = supabase
+    .from("store_exclusions")
+    .select("*")
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (ruleId !== undefined) query = query.eq("rule_id", ruleId);
+  if (placeId) query = query.eq("place_id", placeId);
+
+  const { data, error } = await query;
+
+  if (error) {
+    logger.error("Failed to list store exclusions", {
+      filepath,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  return data;
+};
@@ -0,0 +1,82 @@
+import crypto from "crypto";
+
+export const APIFY_WEBHOOK_SIGNATURE_HEADER = "x-apify-webhook-signature";
+
+// Terminal run events; every one of them leaves a dataset worth recording
+export const APIFY_RUN_EVENTS = [
+  "ACTOR.RUN.SUCCEEDED",
+  "ACTOR.RUN.FAILED",
+  "ACTOR.RUN.ABORTED",
+  "ACTOR.RUN.TIMED_OUT",
+];
+
+export const APIFY_WEBHOOK_ERRORS = {
+  SIGNATURE: "Invalid webhook signature",
+  PAYLOAD: "Webhook payload must include eventData.actorRunId and context",
+  RUN: "Webhook run doesn't match its signed context",
+};
+
+const sign = (value, secret) =>
+  crypto.createHmac("sha256", secret).update(value).digest("hex");
+
+/**
+ * Builds the ad-hoc webhook added to a started run (see addRunWebhook in
+ * services/apifyService.js). Apify can't sign requests itself, so the run ID
+ * and context are signed here and Apify sends them back verbatim with their
+ * signature header; the secret never leaves this server. Signing the run ID
+ * keeps a captured request from being replayed for another run.
+ * @param {Object} params
+ * @param {string} params.url - Public URL of POST /api/v1/scrape/webhook
+ * @param {string} params.secret - config.apify.webhookSecret
+ * @param {string} params.runId - Apify run ID the webhook is for
+ * @param {Object} params.context - What the receiver needs to process the run:
+ *   { jobId, state, city, searchQueries, maxResults, actorOverrides }
+ * @returns {Object} Apify webhook definition
+ */
+export const buildRunWebhook = ({ url, secret, runId, context }) => {
+  const signedContext = JSON.stringify({ ...context, runId });
+
+  return {
+    eventTypes: APIFY_RUN_EVENTS,
+    requestUrl: url,
+    // {{eventType}} and {{eventData}} are filled in by Apify as JSON values
+    payloadTemplate: `{"eventType": {{eventType}}, "eventData": {{eventData}}, "context": ${JSON.stringify(
+      signedContext
+    )}}`,
+    headersTemplate: JSON.stringify({
+      [APIFY_WEBHOOK_SIGNATURE_HEADER]: sign(signedContext, secret),
+    }),
+  };
+};
+
+/**
+ * Checks a webhook request built by buildRunWebhook
+ * @param {Object} body - Parsed request body
+ * @param {string|undefined} signature - The signature header
+ * @param {string} secret - config.apify.webhookSecret
+ * @returns {{runId: string, eventType: string, context: Object}}
+ * @throws {Error} With one of APIFY_WEBHOOK_ERRORS
+ */
+export const verifyRunWebhook = (body, signature, secret) => {
+  const runId = body?.eventData?.actorRunId;
+  if (typeof runId !== "string" || typeof body.context !== "string") {
+    throw new Error(APIFY_WEBHOOK_ERRORS.PAYLOAD);
+  }
+
+  const expected = Buffer.from(sign(body.context, secret));
+  const received = Buffer.from(String(signature || ""));
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    throw new Error(APIFY_WEBHOOK_ERRORS.SIGNATURE);
+  }
+
+  // Apify fills in actorRunId, so it has to match the signed one
+  const { runId: signedRunId, ...context } = JSON.parse(body.context);
+  if (signedRunId !== runId) {
+    throw new Error(APIFY_WEBHOOK_ERRORS.RUN);
+  }
+
+  return { runId, eventType: body.eventType, context };
+};
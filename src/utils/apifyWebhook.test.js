@@ -0,0 +1,82 @@
+import {
+  APIFY_WEBHOOK_ERRORS,
+  APIFY_WEBHOOK_SIGNATURE_HEADER,
+  buildRunWebhook,
+  verifyRunWebhook,
+} from "./apifyWebhook.js";
+
+const SECRET = "test-secret";
+const context = {
+  jobId: "0b5a3f9e-4a8e-4e43-9f4a-2c1d6f1b7a10",
+  state: "Texas",
+  city: "Austin",
+  searchQueries: ["electric scooter repair"],
+  maxResults: 50,
+  actorOverrides: {},
+};
+
+// Renders the webhook the way Apify delivers it for a run
+const deliver = (webhook, runId, eventType = "ACTOR.RUN.SUCCEEDED") => ({
+  body: JSON.parse(
+    webhook.payloadTemplate
+      .replace("{{eventType}}", JSON.stringify(eventType))
+      .replace("{{eventData}}", JSON.stringify({ actorRunId: runId }))
+  ),
+  signature: JSON.parse(webhook.headersTemplate)[
+    APIFY_WEBHOOK_SIGNATURE_HEADER
+  ],
+});
+
+const webhookFor = (runId) =>
+  buildRunWebhook({
+    url: "http://localhost/webhook",
+    secret: SECRET,
+    runId,
+    context,
+  });
+
+describe("verifyRunWebhook", () => {
+  it("accepts a request signed for its run", () => {
+    const { body, signature } = deliver(webhookFor("run-1"), "run-1");
+
+    expect(verifyRunWebhook(body, signature, SECRET)).toEqual({
+      runId: "run-1",
+      eventType: "ACTOR.RUN.SUCCEEDED",
+      context,
+    });
+  });
+
+  it("rejects a tampered context", () => {
+    const { body, signature } = deliver(webhookFor("run-1"), "run-1");
+    body.context = body.context.replace("Austin", "Dallas");
+
+    expect(() => verifyRunWebhook(body, signature, SECRET)).toThrow(
+      APIFY_WEBHOOK_ERRORS.SIGNATURE
+    );
+  });
+
+  it("rejects a signature made with another secret", () => {
+    const { body, signature } = deliver(webhookFor("run-1"), "run-1");
+
+    expect(() => verifyRunWebhook(body, signature, "other-secret")).toThrow(
+      APIFY_WEBHOOK_ERRORS.SIGNATURE
+    );
+  });
+
+  it("rejects a captured request replayed for another run", () => {
+    const { body, signature } = deliver(webhookFor("run-1"), "run-2");
+
+    expect(() => verifyRunWebhook(body, signature, SECRET)).toThrow(
+      APIFY_WEBHOOK_ERRORS.RUN
+    );
+  });
+
+  it("rejects a request without a run ID or context", () => {
+    expect(() => verifyRunWebhook({ context: "{}" }, "sig", SECRET)).toThrow(
+      APIFY_WEBHOOK_ERRORS.PAYLOAD
+    );
+    expect(() =>
+      verifyRunWebhook({ eventData: { actorRunId: "run-1" } }, "sig", SECRET)
+    ).toThrow(APIFY_WEBHOOK_ERRORS.PAYLOAD);
+  });
+});
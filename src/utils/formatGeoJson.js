@@ -0,0 +1,31 @@
+/**
+ * Converts search results into a GeoJSON FeatureCollection for map views.
+ * Properties are kept light; full details come from the store detail endpoint.
+ * @param {Array} stores - Formatted search results with latitude/longitude
+ * @param {Object} metadata - Search metadata, returned as a foreign member
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export const toStoreFeatureCollection = (stores, metadata) => ({
+  type: "FeatureCollection",
+  features: stores
+    .filter((store) => store.latitude != null && store.longitude != null)
+    .map((store) => ({
+      type: "Feature",
+      id: store.id,
+      geometry: {
+        type: "Point",
+        // GeoJSON positions are [longitude, latitude]
+        coordinates: [Number(store.longitude), Number(store.latitude)],
+      },
+      properties: {
+        place_id: store.place_id,
+        name: store.name,
+        total_score: store.total_score,
+        reviews_count: store.reviews_count,
+        escooter_repair_confirmed: store.escooter_repair_confirmed,
+        repair_tier: store.repair_tier,
+        temporarily_closed: store.temporarily_closed,
+      },
+    })),
+  metadata,
+});
@@ -0,0 +1,117 @@
+import { getStoreOpenStatus } from "./openingHours.js";
+
+// Reviews mentioning these are shown first on a shop page
+const SCOOTER_KEYWORDS = /scooter|segway|ninebot|xiaomi|battery|e-?bike/i;
+
+/**
+ * Picks the reviews shown on a shop page: reviews with text only, scooter
+ * related ones first, then newest. Reviewer personal data is not included.
+ * @param {Array} reviews - Raw Google reviews
+ * @param {number} maxReviews - Maximum number of reviews to return
+ * @returns {Array} Curated reviews
+ */
+function curateReviews(reviews, maxReviews) {
+  if (!Array.isArray(reviews)) return [];
+
+  return reviews
+    .filter((review) => review.text)
+    .map((review) => ({
+      review,
+      mentionsScooter: SCOOTER_KEYWORDS.test(review.text),
+    }))
+    .sort(
+      (a, b) =>
+        b.mentionsScooter - a.mentionsScooter ||
+        new Date(b.review.publishAt) - new Date(a.review.publishAt)
+    )
+    .slice(0, maxReviews)
+    .map(({ review }) => ({
+      stars: review.stars,
+      text: review.text,
+      published_at: review.publishAt,
+      owner_response: review.responseFromOwnerText || null,
+    }));
+}
+
+/**
+ * Picks answered questions for a shop page, without asker/answerer details
+ * @param {Array} questionsAndAnswers - Raw Google Q&A
+ * @param {number} maxQAs - Maximum number of questions to return
+ * @returns {Array} Curated Q&A
+ */
+function curateQuestions(questionsAndAnswers, maxQAs) {
+  if (!Array.isArray(questionsAndAnswers)) return [];
+
+  return questionsAndAnswers
+    .filter((qa) => qa.question && qa.answers?.length > 0)
+    .slice(0, maxQAs)
+    .map((qa) => ({
+      question: qa.question,
+      asked_at: qa.askDate,
+      answers: qa.answers.map((answer) => ({
+        answer: answer.answer,
+        answered_at: answer.answerDate,
+      })),
+    }));
+}
+
+/**
+ * Formats a full store row into the public shop page profile
+ * @param {Object} store - Store row from the database
+ * @param {Object} options - Options for formatting
+ * @param {number} options.maxReviews - Maximum number of reviews to include
+ * @param {number} options.maxQAs - Maximum number of Q&As to include
+ * @returns {Object} Public store profile
+ */
+export function formatStoreProfile(store, { maxReviews = 5, maxQAs = 5 } = {}) {
+  const { timezone, isOpen, nextOpen } = getStoreOpenStatus(store);
+
+  return {
+    place_id: store.place_id,
+    name: store.name,
+    subtitle: store.subtitle,
+    description: store.description,
+    category_name: store.category_name,
+    categories: store.categories || [],
+    website: store.website,
+    phone: store.phone,
+    maps_url: store.maps_url,
+    permanently_closed: store.permanently_closed,
+    temporarily_closed: store.temporarily_closed,
+
+    address: {
+      full: store.address,
+      street: store.street,
+      city: store.city,
+      state: store.state,
+      postal_code: store.postal_code,
+      country_code: store.country_code,
+      neighborhood: store.neighborhood,
+      located_in: store.located_in,
+    },
+    latitude: store.latitude,
+    longitude: store.longitude,
+
+    opening_hours: store.opening_hours,
+    timezone,
+    is_open_now: isOpen,
+    next_open: nextOpen,
+
+    total_score: store.total_score,
+    reviews_count: store.reviews_count,
+    reviews_distribution: store.reviews_distribution,
+    reviews_tags: store.reviews_tags || [],
+
+    ai_summary: store.ai_summary || "The AI summary hasn't been processed yet",
+    escooter_repair_confirmed: store.escooter_repair_confirmed,
+    repair_tier: store.repair_tier,
+    service_tiers: store.service_tiers,
+    confidence_score: store.confidence_score,
+    supported_brands: store.supported_brands || [],
+
+    reviews: curateReviews(store.reviews, maxReviews),
+    questions_and_answers: curateQuestions(store.questions_and_answers, maxQAs),
+
+    last_updated: store.last_updated,
+  };
+}
@@ -0,0 +1,227 @@
+/**
+ * Parses Google opening hours ([{ day: "Monday", hours: "9 AM to 5 PM" }])
+ * into structured intervals and answers "is this store open at time X".
+ *
+ * A schedule is an array indexed by weekday (0 = Sunday) holding either an
+ * array of { open, close } intervals in minutes since local midnight, or null
+ * when that day's hours are unknown. An empty array means closed all day.
+ * Intervals that run past midnight have close > 1440.
+ */
+
+import { getStoreTimezone } from "./timezones.js";
+
+const MINUTES_PER_DAY = 24 * 60;
+const DAY_INDEX = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+
+const TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/;
+
+const parseTime = (text) => {
+  if (text === "noon") return { hour: 12, minute: 0, meridiem: "pm" };
+  if (text === "midnight") return { hour: 12, minute: 0, meridiem: "am" };
+
+  const match = TIME_PATTERN.exec(text);
+  if (!match) return null;
+
+  const hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  if (hour > 24 || minute > 59) return null;
+
+  return { hour, minute, meridiem: match[3] || null };
+};
+
+const toMinutes = ({ hour, minute, meridiem }) => {
+  if (!meridiem) return hour * 60 + minute;
+  return ((hour % 12) + (meridiem === "pm" ? 12 : 0)) * 60 + minute;
+};
+
+// Parses one shift such as "9 AM to 5 PM" or "1 to 5 PM"
+const parseShift = (text) => {
+  const [openText, closeText, ...extra] = text.split(" to ");
+  if (!openText || !closeText || extra.length) return null;
+
+  const open = parseTime(openText.trim());
+  const close = parseTime(closeText.trim());
+  if (!open || !close) return null;
+
+  // "1 to 5 PM" omits the first meridiem; borrow the closing one unless that
+  // would put opening after closing ("11 to 2 PM" means 11 AM)
+  if (!open.meridiem && close.meridiem) {
+    open.meridiem = close.meridiem;
+    if (toMinutes(open) > toMinutes(close)) open.meridiem = "am";
+  }
+
+  const openMinutes = toMinutes(open);
+  let closeMinutes = toMinutes(close);
+
+  // Closing at or before opening means the shift runs past midnight
+  if (closeMinutes <= openMinutes) closeMinutes += MINUTES_PER_DAY;
+
+  return { open: openMinutes, close: closeMinutes };
+};
+
+/**
+ * Parses a single day's hours string
+ * @param {string} hours - e.g. "9 AM to 5 PM", "Closed", "Open 24 hours",
+ *   "9 AM to 12 PM, 1 to 5 PM"
+ * @returns {Array|null} Intervals for the day, [] when closed, null when unparseable
+ */
+export const parseDayHours = (hours) => {
+  if (typeof hours !== "string") return null;
+
+  const text = hours
+    .toLowerCase()
+    .replace(/[\u00a0\u202f\u2009]/g, " ")
+    .replace(/\s*[–—-]\s*/g, " to ")
+    .replace(/\./g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  if (text === "closed") return [];
+  if (text === "open 24 hours" || text === "24 hours") {
+    return [{ open: 0, close: MINUTES_PER_DAY }];
+  }
+
+  const shifts = text.split(",").map((shift) => parseShift(shift.trim()));
+  if (!shifts.length || shifts.some((shift) => shift === null)) return null;
+
+  return shifts.sort((a, b) => a.open - b.open);
+};
+
+/**
+ * Parses a store's opening_hours into a weekly schedule
+ * @param {Array} openingHours - [{ day: "Monday", hours: "9 AM to 5 PM" }]
+ * @returns {Array|null} Seven entries indexed by weekday (0 = Sunday), or null
+ *   when no day could be parsed
+ */
+export const parseOpeningHours = (openingHours) => {
+  if (!Array.isArray(openingHours) || !openingHours.length) return null;
+
+  const schedule = new Array(7).fill(null);
+  let parsedDays = 0;
+
+  for (const entry of openingHours) {
+    const dayIndex =
+      DAY_INDEX[String(entry?.day).trim().toLowerCase().slice(0, 3)];
+    if (dayIndex === undefined) continue;
+
+    const intervals = parseDayHours(entry.hours);
+    if (intervals === null) continue;
+
+    schedule[dayIndex] = intervals;
+    parsedDays++;
+  }
+
+  return parsedDays > 0 ? schedule : null;
+};
+
+const localTimeFormatters = new Map();
+
+/**
+ * Returns the weekday and minutes since midnight of a moment in a timezone
+ * @param {Date} date
+ * @param {string} timeZone - IANA timezone
+ * @returns {{day: number, minutes: number}}
+ */
+export const getLocalTime = (date, timeZone) => {
+  if (!localTimeFormatters.has(timeZone)) {
+    localTimeFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        weekday: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      })
+    );
+  }
+
+  const parts = Object.fromEntries(
+    localTimeFormatters
+      .get(timeZone)
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+
+  return {
+    day: DAY_INDEX[parts.weekday.toLowerCase()],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+/**
+ * Checks whether a schedule is open at a local weekday and time
+ * @param {Array} schedule - Output of parseOpeningHours
+ * @param {{day: number, minutes: number}} localTime
+ * @returns {boolean|null} null when the hours for that time are unknown
+ */
+export const isOpenAtLocalTime = (schedule, { day, minutes }) => {
+  if (!schedule) return null;
+
+  const previousDay = schedule[(day + 6) % 7];
+  const spillsOver = previousDay?.some(
+    (interval) => minutes + MINUTES_PER_DAY < interval.close
+  );
+  if (spillsOver) return true;
+
+  const today = schedule[day];
+  if (today === null) return null;
+
+  return today.some(
+    (interval) => interval.open <= minutes && minutes < interval.close
+  );
+};
+
+/**
+ * Works out whether a store is open at a moment and when it next opens
+ * @param {Array} schedule - Output of parseOpeningHours
+ * @param {string|null} timeZone - Store's IANA timezone
+ * @param {Date} [at=new Date()]
+ * @returns {{isOpen: boolean|null, nextOpen: string|null}} nextOpen is an ISO
+ *   timestamp within the next week, null when open now or unknown. It assumes
+ *   the UTC offset doesn't change before then, so may be an hour off across DST.
+ */
+export const getOpenStatus = (schedule, timeZone, at = new Date()) => {
+  if (!schedule || !timeZone) return { isOpen: null, nextOpen: null };
+
+  const localTime = getLocalTime(at, timeZone);
+  const isOpen = isOpenAtLocalTime(schedule, localTime);
+  if (isOpen !== false) return { isOpen, nextOpen: null };
+
+  // Scan forward day by day for the next interval that starts after now
+  for (let offset = 0; offset <= 7; offset++) {
+    const intervals = schedule[(localTime.day + offset) % 7] || [];
+    const start = intervals.find(
+      (interval) => offset > 0 || interval.open > localTime.minutes
+    );
+    if (start) {
+      const minutesUntil =
+        offset * MINUTES_PER_DAY + start.open - localTime.minutes;
+      const nextOpen = new Date(at.getTime() + minutesUntil * 60000);
+      nextOpen.setUTCSeconds(0, 0);
+      return { isOpen, nextOpen: nextOpen.toISOString() };
+    }
+  }
+
+  return { isOpen, nextOpen: null };
+};
+
+/**
+ * Open status of a store row, using its opening_hours and a timezone derived
+ * from its state and coordinates
+ * @param {Object} store - Store with opening_hours, state, latitude, longitude
+ *   and the permanently_closed/temporarily_closed flags
+ * @param {Date} [at=new Date()]
+ * @returns {{timezone: string|null, isOpen: boolean|null, nextOpen: string|null}}
+ */
+export const getStoreOpenStatus = (store, at = new Date()) => {
+  const timezone = getStoreTimezone(store);
+
+  // Closed businesses keep their Google hours, but aren't open whatever they say
+  if (store.permanently_closed || store.temporarily_closed) {
+    return { timezone, isOpen: false, nextOpen: null };
+  }
+
+  const schedule = parseOpeningHours(store.opening_hours);
+  return { timezone, ...getOpenStatus(schedule, timezone, at) };
+};
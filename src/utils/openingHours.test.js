@@ -0,0 +1,193 @@
+import {
+  getOpenStatus,
+  getStoreOpenStatus,
+  isOpenAtLocalTime,
+  parseDayHours,
+  parseOpeningHours,
+} from "./openingHours.js";
+
+const WEEK = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
+
+const everyDay = (hours) => WEEK.map((day) => ({ day, hours }));
+
+describe("parseDayHours", () => {
+  it("parses a single shift", () => {
+    expect(parseDayHours("9 AM to 5 PM")).toEqual([{ open: 540, close: 1020 }]);
+  });
+
+  it("parses minutes, noon and midnight", () => {
+    expect(parseDayHours("9:30 AM to noon")).toEqual([
+      { open: 570, close: 720 },
+    ]);
+    expect(parseDayHours("6 PM to midnight")).toEqual([
+      { open: 1080, close: 1440 },
+    ]);
+  });
+
+  it("parses split shifts, earliest first", () => {
+    expect(parseDayHours("1 to 5 PM, 9 AM to 12 PM")).toEqual([
+      { open: 540, close: 720 },
+      { open: 780, close: 1020 },
+    ]);
+  });
+
+  it("borrows the closing meridiem unless that puts opening after closing", () => {
+    expect(parseDayHours("1 to 5 PM")).toEqual([{ open: 780, close: 1020 }]);
+    expect(parseDayHours("11 to 2 PM")).toEqual([{ open: 660, close: 840 }]);
+  });
+
+  it("runs a shift that closes before it opens past midnight", () => {
+    expect(parseDayHours("8 PM to 2 AM")).toEqual([
+      { open: 1200, close: 1560 },
+    ]);
+  });
+
+  it("accepts dashes, dotted meridiems and narrow spaces", () => {
+    expect(parseDayHours("9 a.m.–5 p.m.")).toEqual([
+      { open: 540, close: 1020 },
+    ]);
+  });
+
+  it("reads closed and 24 hour days", () => {
+    expect(parseDayHours("Closed")).toEqual([]);
+    expect(parseDayHours("Open 24 hours")).toEqual([{ open: 0, close: 1440 }]);
+  });
+
+  it("returns null for hours it can't read", () => {
+    expect(parseDayHours("By appointment")).toBeNull();
+    expect(parseDayHours("9 AM to 5 PM, later")).toBeNull();
+    expect(parseDayHours("25 to 26")).toBeNull();
+    expect(parseDayHours(undefined)).toBeNull();
+  });
+});
+
+describe("parseOpeningHours", () => {
+  it("indexes days from Sunday and leaves unparseable days unknown", () => {
+    const schedule = parseOpeningHours([
+      { day: "Monday", hours: "9 AM to 5 PM" },
+      { day: "Sun", hours: "Closed" },
+      { day: "Tuesday", hours: "Call us" },
+      { day: "Someday", hours: "9 AM to 5 PM" },
+    ]);
+
+    expect(schedule).toEqual([
+      [],
+      [{ open: 540, close: 1020 }],
+      null,
+      null,
+      null,
+      null,
+      null,
+    ]);
+  });
+
+  it("returns null when no day can be parsed", () => {
+    expect(parseOpeningHours([{ day: "Monday", hours: "Call us" }])).toBeNull();
+    expect(parseOpeningHours([])).toBeNull();
+    expect(parseOpeningHours(null)).toBeNull();
+  });
+});
+
+describe("isOpenAtLocalTime", () => {
+  const schedule = parseOpeningHours([
+    { day: "Friday", hours: "8 PM to 2 AM" },
+    { day: "Saturday", hours: "Closed" },
+  ]);
+
+  it("checks the day's own intervals", () => {
+    expect(isOpenAtLocalTime(schedule, { day: 5, minutes: 21 * 60 })).toBe(
+      true
+    );
+    expect(isOpenAtLocalTime(schedule, { day: 5, minutes: 19 * 60 })).toBe(
+      false
+    );
+  });
+
+  it("counts a shift that spills over from the day before", () => {
+    expect(isOpenAtLocalTime(schedule, { day: 6, minutes: 60 })).toBe(true);
+    expect(isOpenAtLocalTime(schedule, { day: 6, minutes: 3 * 60 })).toBe(
+      false
+    );
+  });
+
+  it("returns null when the day's hours are unknown", () => {
+    expect(isOpenAtLocalTime(schedule, { day: 1, minutes: 600 })).toBeNull();
+    expect(isOpenAtLocalTime(null, { day: 1, minutes: 600 })).toBeNull();
+  });
+});
+
+describe("getOpenStatus", () => {
+  const schedule = parseOpeningHours([
+    ...everyDay("Closed"),
+    { day: "Monday", hours: "10 AM to 6 PM" },
+    { day: "Tuesday", hours: "10 AM to 6 PM" },
+  ]);
+  // Monday 2024-01-15, 9:00 in Chicago (UTC-6)
+  const mondayMorning = new Date("2024-01-15T15:00:00Z");
+
+  it("gives the next opening time when closed", () => {
+    expect(getOpenStatus(schedule, "America/Chicago", mondayMorning)).toEqual({
+      isOpen: false,
+      nextOpen: "2024-01-15T16:00:00.000Z",
+    });
+  });
+
+  it("looks ahead to the next open day", () => {
+    const tuesdayEvening = new Date("2024-01-17T01:00:00Z");
+    expect(getOpenStatus(schedule, "America/Chicago", tuesdayEvening)).toEqual({
+      isOpen: false,
+      nextOpen: "2024-01-22T16:00:00.000Z",
+    });
+  });
+
+  it("has no next opening time while open", () => {
+    const mondayNoon = new Date("2024-01-15T18:00:00Z");
+    expect(getOpenStatus(schedule, "America/Chicago", mondayNoon)).toEqual({
+      isOpen: true,
+      nextOpen: null,
+    });
+  });
+
+  it("is unknown without a schedule or timezone", () => {
+    expect(getOpenStatus(null, "America/Chicago", mondayMorning)).toEqual({
+      isOpen: null,
+      nextOpen: null,
+    });
+    expect(getOpenStatus(schedule, null, mondayMorning)).toEqual({
+      isOpen: null,
+      nextOpen: null,
+    });
+  });
+});
+
+describe("getStoreOpenStatus", () => {
+  const store = {
+    state: "Texas",
+    latitude: 30.2672,
+    longitude: -97.7431,
+    opening_hours: everyDay("Open 24 hours"),
+  };
+  const at = new Date("2024-01-15T15:00:00Z");
+
+  it("uses the store's timezone and hours", () => {
+    expect(getStoreOpenStatus(store, at)).toEqual({
+      timezone: "America/Chicago",
+      isOpen: true,
+      nextOpen: null,
+    });
+  });
+
+  it("treats closed businesses as closed whatever their hours say", () => {
+    expect(
+      getStoreOpenStatus({ ...store, temporarily_closed: true }, at)
+    ).toEqual({ timezone: "America/Chicago", isOpen: false, nextOpen: null });
+  });
+});
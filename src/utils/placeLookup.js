@@ -0,0 +1,210 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import logger from "./logger.js";
+
+const filepath = "utils/placeLookup.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const GAZETTEER_PATH = path.join(__dirname, "../../data/place_gazetteer.json");
+
+// Maximum number of candidates returned for an ambiguous place name
+const MAX_CANDIDATES = 10;
+
+// Common abbreviations in city names, expanded to match USPS spellings
+const CITY_PREFIXES = {
+  st: "saint",
+  ste: "sainte",
+  ft: "fort",
+  mt: "mount",
+};
+
+let gazetteer = null;
+
+const normalize = (text) =>
+  text
+    .toLowerCase()
+    .replace(/\./g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(
+      /^(st|ste|ft|mt) /,
+      (match, prefix) => `${CITY_PREFIXES[prefix]} `
+    );
+
+/**
+ * Loads the gazetteer built by scripts/transformPlaceData.js and indexes it
+ * by normalized state and city names. Loaded once on first use.
+ */
+const loadGazetteer = () => {
+  if (gazetteer) return gazetteer;
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(GAZETTEER_PATH, "utf8"));
+  } catch (error) {
+    logger.error("Failed to load place gazetteer", {
+      filepath,
+      path: GAZETTEER_PATH,
+      error: error.message,
+    });
+    throw new Error("Place search unavailable");
+  }
+
+  const states = new Map();
+  for (const [code, state] of Object.entries(data.states)) {
+    const entry = { type: "state", state: code, ...state };
+    states.set(code.toLowerCase(), entry);
+    states.set(normalize(state.name), entry);
+  }
+
+  const cities = new Map();
+  for (const city of data.cities) {
+    const key = normalize(city.city);
+    if (!cities.has(key)) cities.set(key, []);
+    cities.get(key).push({
+      type: "city",
+      name: `${city.city}, ${city.state}`,
+      ...city,
+    });
+  }
+
+  gazetteer = { states, cities };
+
+  logger.info("Place gazetteer loaded", {
+    filepath,
+    states: Object.keys(data.states).length,
+    cities: data.cities.length,
+  });
+
+  return gazetteer;
+};
+
+// Splits "austin tx" / "kansas city missouri" into a city and trailing state
+const splitTrailingState = (text, states) => {
+  const words = text.split(" ");
+  for (let i = 1; i < words.length; i++) {
+    const state = states.get(words.slice(i).join(" "));
+    if (state) {
+      return { cityName: words.slice(0, i).join(" "), state };
+    }
+  }
+  return null;
+};
+
+const toPlace = ({ type, name, city, state, latitude, longitude }) => ({
+  type,
+  name,
+  ...(city && { city }),
+  state,
+  latitude,
+  longitude,
+});
+
+/**
+ * Resolves a free-text place such as "Austin, TX", "Austin Texas" or "TX"
+ * to coordinates using the offline gazetteer.
+ * @param {string} query - Place text entered by the user
+ * @returns {{match: Object|null, candidates: Array}} The single matching place,
+ *   or null with a list of candidates (largest first) when the name is ambiguous;
+ *   a name shared by a state and cities lists the state first
+ * @throws {Error} When the place is empty, unknown or the gazetteer is missing
+ */
+export const resolvePlace = (query) => {
+  const parts = String(query || "")
+    .split(",")
+    .map(normalize)
+    .filter(Boolean);
+  if (parts.length === 0) {
+    throw new Error("Place must not be empty");
+  }
+
+  const { states, cities } = loadGazetteer();
+
+  let cityName;
+  let state = null;
+
+  const [first, ...rest] = parts;
+  if (rest.length > 0) {
+    cityName = first;
+    state = states.get(rest.join(" ")) || null;
+    if (!state) throw new Error("Place not found");
+  } else if (states.has(first)) {
+    // A bare state abbreviation or name resolves to the state itself, unless
+    // cities share the name ("New York", "Washington"): then it's ambiguous
+    const sameName = cities.get(first) || [];
+    if (sameName.length === 0) {
+      return { match: toPlace(states.get(first)), candidates: [] };
+    }
+    return {
+      match: null,
+      candidates: [
+        states.get(first),
+        ...[...sameName].sort((a, b) => b.zipCount - a.zipCount),
+      ]
+        .slice(0, MAX_CANDIDATES)
+        .map(toPlace),
+    };
+  } else {
+    const split = splitTrailingState(first, states);
+    cityName = split && cities.has(split.cityName) ? split.cityName : first;
+    state = split && cities.has(split.cityName) ? split.state : null;
+  }
+
+  const matches = (cities.get(cityName) || []).filter(
+    (city) => !state || city.state === state.state
+  );
+
+  if (matches.length === 0) {
+    throw new Error("Place not found");
+  }
+
+  if (matches.length === 1) {
+    return { match: toPlace(matches[0]), candidates: [] };
+  }
+
+  return {
+    match: null,
+    candidates: [...matches]
+      .sort((a, b) => b.zipCount - a.zipCount)
+      .slice(0, MAX_CANDIDATES)
+      .map(toPlace),
+  };
+};
+
+/**
+ * Finds the gazetteer city closest to a point, e.g. to name the area around a ZIP code
+ * @param {{latitude: number, longitude: number}} coordinates
+ * @returns {{city: string, state: string, stateName: string, latitude: number, longitude: number}|null}
+ * @throws {Error} "Place search unavailable" when the gazetteer is missing
+ */
+export const findNearestCity = ({ latitude, longitude }) => {
+  const { states, cities } = loadGazetteer();
+
+  // Equirectangular distance is plenty to compare nearby cities
+  const lngScale = Math.cos((latitude * Math.PI) / 180);
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const sameName of cities.values()) {
+    for (const city of sameName) {
+      const dLat = city.latitude - latitude;
+      const dLng = (city.longitude - longitude) * lngScale;
+      const distance = dLat * dLat + dLng * dLng;
+      if (distance < nearestDistance) {
+        nearest = city;
+        nearestDistance = distance;
+      }
+    }
+  }
+
+  if (!nearest) return null;
+
+  return {
+    city: nearest.city,
+    state: nearest.state,
+    stateName: states.get(nearest.state.toLowerCase())?.name || nearest.state,
+    latitude: nearest.latitude,
+    longitude: nearest.longitude,
+  };
+};
@@ -0,0 +1,190 @@
+import { scrapeConfig, US_STATE_NAMES } from "../config/scrapeConfig.js";
+
+const MAX_RESULTS_LIMIT = 9999999;
+const MAX_SEARCH_QUERIES = 20;
+const MAX_CITIES = 200;
+const MAX_BUDGET_USD = 10000;
+
+const REVIEW_SORTS = [
+  "newest",
+  "mostRelevant",
+  "highestRanking",
+  "lowestRanking",
+];
+
+// Validators for the Google Places actor settings a request may override
+const isIntegerBetween = (min, max) => (value) =>
+  Number.isInteger(value) && value >= min && value <= max;
+const isBoolean = (value) => typeof value === "boolean";
+const isStringList = (value) =>
+  Array.isArray(value) &&
+  value.every((item) => typeof item === "string" && item.trim());
+
+const ACTOR_OVERRIDES = {
+  maxReviews: {
+    isValid: isIntegerBetween(0, 5000),
+    error: "maxReviews must be an integer between 0 and 5000",
+  },
+  maxQuestions: {
+    isValid: isIntegerBetween(0, 999),
+    error: "maxQuestions must be an integer between 0 and 999",
+  },
+  maxImages: {
+    isValid: isIntegerBetween(0, 99999),
+    error: "maxImages must be an integer between 0 and 99999",
+  },
+  reviewsSort: {
+    isValid: (value) => REVIEW_SORTS.includes(value),
+    error: `reviewsSort must be one of: ${REVIEW_SORTS.join(", ")}`,
+  },
+  categoryFilterWords: {
+    isValid: isStringList,
+    error: "categoryFilterWords must be an array of non-empty strings",
+  },
+  skipClosedPlaces: {
+    isValid: isBoolean,
+    error: "skipClosedPlaces must be true or false",
+  },
+  deeperCityScrape: {
+    isValid: isBoolean,
+    error: "deeperCityScrape must be true or false",
+  },
+  scrapeDirectories: {
+    isValid: isBoolean,
+    error: "scrapeDirectories must be true or false",
+  },
+};
+
+export const SCRAPE_JOB_ERRORS = {
+  BODY: "Request body must be a JSON object",
+  STATES: "states must be an array of US state names",
+  CITIES: `cities must be an array of at most ${MAX_CITIES} { city, state } objects`,
+  NO_TARGETS: "At least one state or city is required",
+  SEARCH_QUERIES: `searchQueries must be an array of 1 to ${MAX_SEARCH_QUERIES} non-empty strings`,
+  MAX_RESULTS: `maxResults must be an integer between 1 and ${MAX_RESULTS_LIMIT}`,
+  BUDGET: `budgetUsd must be a number above 0 and at most ${MAX_BUDGET_USD}`,
+  ACTOR_OVERRIDES: "actorOverrides must be an object",
+  UNKNOWN_OVERRIDE: `actorOverrides may only contain: ${Object.keys(
+    ACTOR_OVERRIDES
+  ).join(", ")}`,
+};
+
+const STATES_BY_NAME = new Map(
+  US_STATE_NAMES.map((name) => [name.toLowerCase(), name])
+);
+
+// Returns the canonical state name, or undefined when it isn't a US state
+const toStateName = (value) =>
+  typeof value === "string"
+    ? STATES_BY_NAME.get(value.trim().toLowerCase())
+    : undefined;
+
+const parseStates = (states) => {
+  if (!Array.isArray(states)) throw new Error(SCRAPE_JOB_ERRORS.STATES);
+
+  const names = states.map(toStateName);
+  if (names.some((name) => !name)) throw new Error(SCRAPE_JOB_ERRORS.STATES);
+  return [...new Set(names)];
+};
+
+const parseCities = (cities) => {
+  if (!Array.isArray(cities) || cities.length > MAX_CITIES) {
+    throw new Error(SCRAPE_JOB_ERRORS.CITIES);
+  }
+
+  return cities.map((entry) => {
+    const state = toStateName(entry?.state);
+    if (!state || typeof entry.city !== "string" || !entry.city.trim()) {
+      throw new Error(SCRAPE_JOB_ERRORS.CITIES);
+    }
+    return { state, city: entry.city.trim() };
+  });
+};
+
+const parseActorOverrides = (overrides) => {
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error(SCRAPE_JOB_ERRORS.ACTOR_OVERRIDES);
+  }
+
+  for (const [key, value] of Object.entries(overrides)) {
+    const rule = ACTOR_OVERRIDES[key];
+    if (!rule) throw new Error(SCRAPE_JOB_ERRORS.UNKNOWN_OVERRIDE);
+    if (!rule.isValid(value)) throw new Error(rule.error);
+  }
+
+  return { ...overrides };
+};
+
+/**
+ * Builds a scrape job from a POST /scrape/process body, with scrapeConfig as defaults
+ * @param {Object} [body={}] - Request body
+ * @param {string[]} [body.states] - US state names scraped in full
+ * @param {Array<{city: string, state: string}>} [body.cities] - Single cities to scrape
+ * @param {string[]} [body.searchQueries] - Google Maps search terms
+ * @param {number} [body.maxResults] - Max results per search term
+ * @param {Object} [body.actorOverrides] - Google Places actor settings, e.g. maxReviews
+ * @param {number} [body.budgetUsd] - Apify budget for this job, instead of
+ *   config.apifyBudget.jobUsd
+ * @returns {{targets: Array<{state: string, city: string}>, searchQueries: string[],
+ *   maxResults: number, actorOverrides: Object, budgetUsd: number|null}} targets
+ *   hold one entry per actor run; city is "" for whole-state runs
+ * @throws {Error} With one of SCRAPE_JOB_ERRORS or an actor override error when
+ *   the body is invalid
+ */
+export const parseScrapeJobOptions = (body = {}) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new Error(SCRAPE_JOB_ERRORS.BODY);
+  }
+
+  const {
+    states,
+    cities,
+    searchQueries,
+    maxResults,
+    actorOverrides,
+    budgetUsd,
+  } = body;
+
+  // Explicit cities replace the default states rather than adding to them
+  const defaultStates = cities === undefined ? scrapeConfig.states : [];
+  const targets = [
+    ...parseStates(states ?? defaultStates).map((state) => ({
+      state,
+      city: "",
+    })),
+    ...(cities === undefined ? [] : parseCities(cities)),
+  ];
+  if (!targets.length) throw new Error(SCRAPE_JOB_ERRORS.NO_TARGETS);
+
+  const queries = searchQueries ?? scrapeConfig.searchQueries;
+  if (
+    !isStringList(queries) ||
+    queries.length < 1 ||
+    queries.length > MAX_SEARCH_QUERIES
+  ) {
+    throw new Error(SCRAPE_JOB_ERRORS.SEARCH_QUERIES);
+  }
+
+  const parsedMaxResults = maxResults ?? scrapeConfig.maxResults;
+  if (!isIntegerBetween(1, MAX_RESULTS_LIMIT)(parsedMaxResults)) {
+    throw new Error(SCRAPE_JOB_ERRORS.MAX_RESULTS);
+  }
+
+  if (
+    budgetUsd !== undefined &&
+    (typeof budgetUsd !== "number" ||
+      !(budgetUsd > 0) ||
+      budgetUsd > MAX_BUDGET_USD)
+  ) {
+    throw new Error(SCRAPE_JOB_ERRORS.BUDGET);
+  }
+
+  return {
+    targets,
+    searchQueries: queries.map((query) => query.trim()),
+    maxResults: parsedMaxResults,
+    actorOverrides:
+      actorOverrides === undefined ? {} : parseActorOverrides(actorOverrides),
+    budgetUsd: budgetUsd ?? null,
+  };
+};
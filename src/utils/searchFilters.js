@@ -0,0 +1,142 @@
+// Maps the short service names accepted by the API to keys in stores.service_tiers
+const SERVICE_KEYS = {
+  tire: "tire_repair",
+  electrical: "electrical_repair",
+  physical: "physical_repair",
+};
+
+export const SEARCH_FILTER_ERRORS = {
+  CONFIRMED_ONLY: "confirmedOnly must be true or false",
+  MIN_TIER: "minTier must be an integer between 1 and 3",
+  SERVICES: `services must be a comma-separated list of: ${Object.keys(
+    SERVICE_KEYS
+  ).join(", ")}`,
+  BRAND: "brand must not be empty",
+  MIN_CONFIDENCE: "minConfidence must be between 0 and 1",
+  OPEN_NOW: "openNow must be true or false",
+  OPEN_AT: "openAt must be a valid ISO date-time",
+  OPEN_NOW_AND_OPEN_AT: "Provide either openNow or openAt, not both",
+  INCLUDE_CLOSED: "includeClosed must be true or false",
+};
+
+// Parses "true"/"false" style query values, returning undefined when absent
+export const parseBooleanParam = (value, errorMessage) => {
+  if (value === undefined) return undefined;
+  if (["true", "1"].includes(String(value).toLowerCase())) return true;
+  if (["false", "0"].includes(String(value).toLowerCase())) return false;
+  throw new Error(errorMessage);
+};
+
+const parseList = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Parses AI classification filters from search query parameters
+ * @param {Object} query - Express req.query
+ * @param {string} [query.confirmedOnly] - "true" to only return confirmed e-scooter repair shops
+ * @param {string} [query.minTier] - Minimum repair_tier (1-3)
+ * @param {string} [query.services] - Comma-separated services, e.g. "electrical,tire"
+ * @param {string} [query.brand] - Comma-separated brands, matches stores supporting any of them
+ * @param {string} [query.minConfidence] - Minimum AI confidence_score (0-1)
+ * @param {string} [query.openNow] - "true" to only return stores open right now
+ * @param {string} [query.openAt] - ISO date-time; only return stores open at that moment
+ * @param {string} [query.includeClosed] - "true" to include permanently closed stores (admin only)
+ * @returns {Object} Filters for searchStores; only provided filters are set
+ * @throws {Error} With one of SEARCH_FILTER_ERRORS when a parameter is invalid
+ */
+export const parseSearchFilters = ({
+  confirmedOnly,
+  minTier,
+  services,
+  brand,
+  minConfidence,
+  openNow,
+  openAt,
+  includeClosed,
+} = {}) => {
+  const filters = {};
+
+  if (parseBooleanParam(confirmedOnly, SEARCH_FILTER_ERRORS.CONFIRMED_ONLY)) {
+    filters.confirmedOnly = true;
+  }
+
+  if (minTier !== undefined) {
+    const tier = Number(minTier);
+    if (!Number.isInteger(tier) || tier < 1 || tier > 3) {
+      throw new Error(SEARCH_FILTER_ERRORS.MIN_TIER);
+    }
+    filters.minTier = tier;
+  }
+
+  if (services !== undefined) {
+    const requested = parseList(services).map((service) =>
+      service.toLowerCase()
+    );
+    if (!requested.length || requested.some((s) => !SERVICE_KEYS[s])) {
+      throw new Error(SEARCH_FILTER_ERRORS.SERVICES);
+    }
+    filters.services = [...new Set(requested)];
+  }
+
+  if (brand !== undefined) {
+    const brands = parseList(brand);
+    if (!brands.length) {
+      throw new Error(SEARCH_FILTER_ERRORS.BRAND);
+    }
+    filters.brands = brands;
+  }
+
+  if (minConfidence !== undefined) {
+    const confidence = Number(minConfidence);
+    if (
+      minConfidence === "" ||
+      isNaN(confidence) ||
+      confidence < 0 ||
+      confidence > 1
+    ) {
+      throw new Error(SEARCH_FILTER_ERRORS.MIN_CONFIDENCE);
+    }
+    filters.minConfidence = confidence;
+  }
+
+  const onlyOpenNow = parseBooleanParam(openNow, SEARCH_FILTER_ERRORS.OPEN_NOW);
+  if (onlyOpenNow && openAt !== undefined) {
+    throw new Error(SEARCH_FILTER_ERRORS.OPEN_NOW_AND_OPEN_AT);
+  }
+  if (onlyOpenNow) {
+    filters.openNow = true;
+  }
+
+  if (openAt !== undefined) {
+    const openAtTime = Date.parse(openAt);
+    if (isNaN(openAtTime)) {
+      throw new Error(SEARCH_FILTER_ERRORS.OPEN_AT);
+    }
+    filters.openAt = new Date(openAtTime).toISOString();
+  }
+
+  if (parseBooleanParam(includeClosed, SEARCH_FILTER_ERRORS.INCLUDE_CLOSED)) {
+    filters.includeClosed = true;
+  }
+
+  return filters;
+};
+
+/**
+ * Converts parsed filters into nearby_stores RPC arguments
+ * @param {Object} filters - Output of parseSearchFilters
+ * @returns {Object} RPC parameters, null where a filter is not applied
+ */
+export const toFilterRpcParams = (filters = {}) => ({
+  confirmed_only: filters.confirmedOnly || false,
+  min_tier: filters.minTier ?? null,
+  required_services: filters.services
+    ? Object.fromEntries(filters.services.map((s) => [SERVICE_KEYS[s], true]))
+    : null,
+  brands: filters.brands || null,
+  min_confidence: filters.minConfidence ?? null,
+  include_closed: filters.includeClosed || false,
+});
@@ -0,0 +1,89 @@
+export const SEARCH_SORTS = ["distance", "rating", "reviews", "relevance"];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+export const SEARCH_PAGINATION_ERRORS = {
+  SORT: `sort must be one of: ${SEARCH_SORTS.join(", ")}`,
+  LIMIT: `limit must be an integer between 1 and ${MAX_LIMIT}`,
+  OFFSET: "offset must be a non-negative integer",
+  CURSOR: "Invalid cursor",
+  CURSOR_AND_OFFSET: "Provide either cursor or offset, not both",
+};
+
+// Cursors are opaque to clients: base64url JSON holding the next offset and the sort it belongs to
+export const encodeCursor = (offset, sort) =>
+  Buffer.from(JSON.stringify({ o: offset, s: sort })).toString("base64url");
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { o, s } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!Number.isInteger(o) || o < 0 || s !== sort) throw new Error();
+    return o;
+  } catch {
+    throw new Error(SEARCH_PAGINATION_ERRORS.CURSOR);
+  }
+};
+
+/**
+ * Parses sort order and page parameters from search query parameters
+ * @param {Object} query - Express req.query
+ * @param {string} [query.sort="distance"] - One of SEARCH_SORTS
+ * @param {string} [query.limit] - Page size, defaults to 50, max 100
+ * @param {string} [query.offset] - Number of results to skip
+ * @param {string} [query.cursor] - nextCursor from a previous response (same sort)
+ * @returns {{sort: string, limit: number, offset: number}}
+ * @throws {Error} With one of SEARCH_PAGINATION_ERRORS when a parameter is invalid
+ */
+export const parseSearchPagination = ({
+  sort = "distance",
+  limit,
+  offset,
+  cursor,
+} = {}) => {
+  if (!SEARCH_SORTS.includes(sort)) {
+    throw new Error(SEARCH_PAGINATION_ERRORS.SORT);
+  }
+
+  const parsedLimit = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+  if (
+    !Number.isInteger(parsedLimit) ||
+    parsedLimit < 1 ||
+    parsedLimit > MAX_LIMIT
+  ) {
+    throw new Error(SEARCH_PAGINATION_ERRORS.LIMIT);
+  }
+
+  if (cursor !== undefined && offset !== undefined) {
+    throw new Error(SEARCH_PAGINATION_ERRORS.CURSOR_AND_OFFSET);
+  }
+
+  let parsedOffset = 0;
+  if (cursor !== undefined) {
+    parsedOffset = decodeCursor(cursor, sort);
+  } else if (offset !== undefined) {
+    parsedOffset = Number(offset);
+    if (offset === "" || !Number.isInteger(parsedOffset) || parsedOffset < 0) {
+      throw new Error(SEARCH_PAGINATION_ERRORS.OFFSET);
+    }
+  }
+
+  return { sort, limit: parsedLimit, offset: parsedOffset };
+};
+
+/**
+ * Builds a search response page from rows already sorted and paged in SQL
+ * @param {Array} stores - The page's stores
+ * @param {number} total - Number of matching stores across all pages
+ * @param {Object} pagination - Output of parseSearchPagination
+ * @returns {{stores: Array, total: number, nextCursor: string|null}}
+ */
+export const toSearchPage = (stores, total, { sort, offset }) => {
+  const nextOffset = offset + stores.length;
+
+  return {
+    stores,
+    total,
+    nextCursor: nextOffset < total ? encodeCursor(nextOffset, sort) : null,
+  };
+};
@@ -0,0 +1,96 @@
+import {
+  encodeCursor,
+  parseSearchPagination,
+  SEARCH_PAGINATION_ERRORS,
+  toSearchPage,
+} from "./searchPagination.js";
+
+describe("parseSearchPagination", () => {
+  it("defaults to the first 50 stores by distance", () => {
+    expect(parseSearchPagination()).toEqual({
+      sort: "distance",
+      limit: 50,
+      offset: 0,
+    });
+  });
+
+  it("parses sort, limit and offset", () => {
+    expect(
+      parseSearchPagination({ sort: "rating", limit: "100", offset: "20" })
+    ).toEqual({ sort: "rating", limit: 100, offset: 20 });
+  });
+
+  it("rejects an unknown sort", () => {
+    expect(() => parseSearchPagination({ sort: "name" })).toThrow(
+      SEARCH_PAGINATION_ERRORS.SORT
+    );
+  });
+
+  it.each(["0", "101", "1.5", "ten", ""])("rejects limit %p", (limit) => {
+    expect(() => parseSearchPagination({ limit })).toThrow(
+      SEARCH_PAGINATION_ERRORS.LIMIT
+    );
+  });
+
+  it.each(["-1", "1.5", "ten", ""])("rejects offset %p", (offset) => {
+    expect(() => parseSearchPagination({ offset })).toThrow(
+      SEARCH_PAGINATION_ERRORS.OFFSET
+    );
+  });
+
+  it("reads the offset from a cursor of the same sort", () => {
+    const cursor = encodeCursor(40, "reviews");
+    expect(parseSearchPagination({ sort: "reviews", cursor })).toEqual({
+      sort: "reviews",
+      limit: 50,
+      offset: 40,
+    });
+  });
+
+  it("rejects a cursor made for another sort", () => {
+    const cursor = encodeCursor(40, "reviews");
+    expect(() => parseSearchPagination({ sort: "rating", cursor })).toThrow(
+      SEARCH_PAGINATION_ERRORS.CURSOR
+    );
+  });
+
+  it("rejects a cursor that isn't one", () => {
+    expect(() => parseSearchPagination({ cursor: "not-a-cursor" })).toThrow(
+      SEARCH_PAGINATION_ERRORS.CURSOR
+    );
+    const negative = Buffer.from(
+      JSON.stringify({ o: -5, s: "distance" })
+    ).toString("base64url");
+    expect(() => parseSearchPagination({ cursor: negative })).toThrow(
+      SEARCH_PAGINATION_ERRORS.CURSOR
+    );
+  });
+
+  it("rejects a cursor together with an offset", () => {
+    const cursor = encodeCursor(40, "distance");
+    expect(() => parseSearchPagination({ cursor, offset: "10" })).toThrow(
+      SEARCH_PAGINATION_ERRORS.CURSOR_AND_OFFSET
+    );
+  });
+});
+
+describe("toSearchPage", () => {
+  const stores = [{ id: 1 }, { id: 2 }];
+
+  it("links to the next page while stores are left", () => {
+    const page = toSearchPage(stores, 5, { sort: "distance", offset: 2 });
+
+    expect(page.stores).toBe(stores);
+    expect(page.total).toBe(5);
+    expect(parseSearchPagination({ cursor: page.nextCursor }).offset).toBe(4);
+  });
+
+  it("has no next page at the end", () => {
+    expect(
+      toSearchPage(stores, 4, { sort: "distance", offset: 2 }).nextCursor
+    ).toBeNull();
+    expect(
+      toSearchPage([], 4, { sort: "distance", offset: 10 }).nextCursor
+    ).toBeNull();
+  });
+});
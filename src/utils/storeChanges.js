@@ -0,0 +1,223 @@
+// Store columns compared between scrapes and copied into store_snapshots.
+// latitude/longitude are compared together as one "location" change.
+export const TRACKED_STORE_FIELDS = [
+  "name",
+  "phone",
+  "website",
+  "address",
+  "category_name",
+  "categories",
+  "opening_hours",
+  "total_score",
+  "reviews_count",
+  "temporarily_closed",
+  "permanently_closed",
+  "latitude",
+  "longitude",
+];
+
+const FIELD_LABELS = {
+  phone: "phone",
+  website: "website",
+  address: "address",
+  opening_hours: "hours",
+};
+
+// Smaller moves are geocoding noise, not a relocated shop (~10 m)
+const LOCATION_TOLERANCE_DEGREES = 0.0001;
+const SCORE_TOLERANCE = 0.001;
+
+// The stores table has no undefined; a missing value is written as null
+const normalize = (value) => (value === undefined ? null : value);
+
+// jsonb columns come back with their keys reordered, so compare key-sorted copies
+const canonical = (value) => {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, canonical(value[key])])
+    );
+  }
+  return normalize(value);
+};
+
+const isEqual = (a, b) =>
+  JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+
+const lowercaseSet = (values) =>
+  new Set((values || []).map((value) => value.toLowerCase()));
+
+const scoreChanged = (previous, current) => {
+  if (previous === null || current === null) return previous !== current;
+  return Math.abs(previous - current) > SCORE_TOLERANCE;
+};
+
+const describeScoreChange = (previous, current) => {
+  if (previous === null) return `rating now ${current}`;
+  if (current === null) return "rating removed";
+
+  const delta = Math.round((current - previous) * 10) / 10;
+  if (delta === 0) return `rating changed from ${previous} to ${current}`;
+  return delta < 0
+    ? `rating dropped ${Math.abs(delta)}`
+    : `rating rose ${delta}`;
+};
+
+const describeReviewsChange = (previous, current) => {
+  const delta = (current || 0) - (previous || 0);
+  return delta > 0
+    ? `${delta} new review${delta === 1 ? "" : "s"}`
+    : `review count fell by ${Math.abs(delta)}`;
+};
+
+const describeCategoriesChange = (previous, current) => {
+  const before = lowercaseSet(previous);
+  const after = lowercaseSet(current);
+  const added = (current || []).filter(
+    (category) => !before.has(category.toLowerCase())
+  );
+  const removed = (previous || []).filter(
+    (category) => !after.has(category.toLowerCase())
+  );
+
+  const parts = [];
+  if (added.length) parts.push(`new categories: ${added.join(", ")}`);
+  if (removed.length) parts.push(`removed categories: ${removed.join(", ")}`);
+  return parts.join("; ");
+};
+
+const describeTextChange = (label, previous, current) => {
+  if (previous === null) return `${label} added`;
+  if (current === null) return `${label} removed`;
+  return `${label} changed`;
+};
+
+const locationMoved = (previous, current) =>
+  ["latitude", "longitude"].some(
+    (field) =>
+      Math.abs(Number(previous[field]) - Number(current[field])) >
+      LOCATION_TOLERANCE_DEGREES
+  );
+
+/**
+ * Field-level differences between a store's previous row and a fresh scrape
+ * @param {Object} previous - Tracked fields of the stored row
+ * @param {Object} current - Store about to be written
+ * @returns {Array<{field: string, old_value: *, new_value: *, summary: string}>}
+ *   One entry per changed field, e.g. { field: "total_score", summary: "rating dropped 0.5" }
+ */
+export const diffStore = (previous, current) => {
+  const changes = [];
+  const add = (field, oldValue, newValue, summary) =>
+    changes.push({ field, old_value: oldValue, new_value: newValue, summary });
+
+  for (const field of TRACKED_STORE_FIELDS) {
+    const oldValue = normalize(previous[field]);
+    const newValue = normalize(current[field]);
+
+    switch (field) {
+      case "latitude":
+      case "longitude":
+        // Compared together below
+        break;
+      case "total_score":
+        if (scoreChanged(oldValue, newValue)) {
+          add(
+            field,
+            oldValue,
+            newValue,
+            describeScoreChange(oldValue, newValue)
+          );
+        }
+        break;
+      case "reviews_count":
+        if ((oldValue || 0) !== (newValue || 0)) {
+          add(
+            field,
+            oldValue,
+            newValue,
+            describeReviewsChange(oldValue, newValue)
+          );
+        }
+        break;
+      case "categories": {
+        const summary = describeCategoriesChange(oldValue, newValue);
+        if (summary) add(field, oldValue, newValue, summary);
+        break;
+      }
+      case "temporarily_closed":
+        if (Boolean(oldValue) !== Boolean(newValue)) {
+          add(
+            field,
+            oldValue,
+            newValue,
+            newValue ? "now temporarily closed" : "reopened"
+          );
+        }
+        break;
+      case "permanently_closed":
+        if (Boolean(oldValue) !== Boolean(newValue)) {
+          add(
+            field,
+            oldValue,
+            newValue,
+            newValue
+              ? "now permanently closed"
+              : "no longer marked permanently closed"
+          );
+        }
+        break;
+      case "name":
+        if (!isEqual(oldValue, newValue)) {
+          add(field, oldValue, newValue, `renamed from "${oldValue}"`);
+        }
+        break;
+      case "category_name":
+        if (!isEqual(oldValue, newValue)) {
+          add(
+            field,
+            oldValue,
+            newValue,
+            `primary category now ${newValue ?? "unset"}`
+          );
+        }
+        break;
+      default:
+        if (!isEqual(oldValue, newValue)) {
+          add(
+            field,
+            oldValue,
+            newValue,
+            describeTextChange(FIELD_LABELS[field], oldValue, newValue)
+          );
+        }
+    }
+  }
+
+  if (
+    current.latitude != null &&
+    previous.latitude != null &&
+    locationMoved(previous, current)
+  ) {
+    add(
+      "location",
+      { latitude: previous.latitude, longitude: previous.longitude },
+      { latitude: current.latitude, longitude: current.longitude },
+      "location moved"
+    );
+  }
+
+  return changes;
+};
+
+/**
+ * The tracked fields of a store, as stored in store_snapshots.data
+ * @param {Object} store - Store row or scraped store
+ * @returns {Object}
+ */
+export const snapshotStore = (store) =>
+  Object.fromEntries(
+    TRACKED_STORE_FIELDS.map((field) => [field, normalize(store[field])])
+  );
@@ -0,0 +1,57 @@
+import config from "../config/config.js";
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// Each factor is normalised to 0-1 so the configured weights are comparable
+const getFactorValues = (store, radius, reviewSaturation) => {
+  const reviewsCount = store.reviews_count || 0;
+  // Fraction of "full trust" a store's rating earns from its review count
+  const reviewWeight = reviewsCount / (reviewsCount + reviewSaturation);
+
+  return {
+    distance: radius > 0 ? clamp01(1 - store.distance_miles / radius) : 0,
+    rating: clamp01((store.total_score || 0) / 5) * reviewWeight,
+    reviews: reviewWeight,
+    confirmed: store.escooter_repair_confirmed ? 1 : 0,
+    confidence: clamp01(Number(store.confidence_score) || 0),
+  };
+};
+
+/**
+ * Scores a store for "relevance" sorting and explains the score. Combines
+ * distance, rating (discounted when it has few reviews), review count,
+ * confirmed e-scooter repair and the AI confidence score, weighted by
+ * config.ranking.weights. Higher is better, range 0-1.
+ * @param {Object} store - Store with distance_miles, total_score, reviews_count,
+ *   escooter_repair_confirmed, confidence_score
+ * @param {number} radius - Search radius in miles, used to normalise distance
+ * @param {Object} [ranking=config.ranking] - { weights, reviewSaturation }
+ * @returns {{score: number, factors: Object}} factors holds the value, weight
+ *   and contribution of each factor
+ */
+export const getRelevanceBreakdown = (
+  store,
+  radius,
+  { weights, reviewSaturation } = config.ranking
+) => {
+  const values = getFactorValues(store, radius, reviewSaturation);
+  const totalWeight = Object.keys(values).reduce(
+    (sum, factor) => sum + (weights[factor] || 0),
+    0
+  );
+
+  const factors = {};
+  let score = 0;
+  for (const [factor, value] of Object.entries(values)) {
+    const weight = totalWeight > 0 ? (weights[factor] || 0) / totalWeight : 0;
+    const contribution = weight * value;
+    factors[factor] = {
+      value: +value.toFixed(4),
+      weight: +weight.toFixed(4),
+      contribution: +contribution.toFixed(4),
+    };
+    score += contribution;
+  }
+
+  return { score: +score.toFixed(4), factors };
+};
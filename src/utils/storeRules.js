@@ -0,0 +1,197 @@
+// Rule types, in the order a store is checked against them. The first rule that
+// decides a store wins, so a blocked place_id is dropped even if an include rule
+// matches its name, and an include rule rescues a name from every later check.
+export const STORE_RULE_TYPES = [
+  "place_id_block", // value: Google place_id that is never ingested
+  "name_include", // value: regex; matching stores skip the checks below
+  "name_exclude", // value: regex matched against the store name
+  "category_deny", // value: category; stores listing it are dropped
+  "category_allow", // value: category; once any exist, stores need one of them
+  "min_reviews", // value: integer; stores with fewer reviews are dropped
+];
+
+const MAX_PATTERN_LENGTH = 200;
+
+export const STORE_RULE_ERRORS = {
+  BODY: "Request body must be a JSON object",
+  TYPE: `rule_type must be one of: ${STORE_RULE_TYPES.join(", ")}`,
+  PATTERN: `value must be a valid regular expression of at most ${MAX_PATTERN_LENGTH} characters`,
+  TEXT: "value must be a non-empty string",
+  MIN_REVIEWS: "value must be a non-negative integer",
+  ENABLED: "enabled must be true or false",
+  DESCRIPTION: "description must be a string",
+  NOT_FOUND: "Store rule not found",
+};
+
+// Built-in rules used when the store_rules table can't be read, so a database
+// hiccup never lets big-box stores into the directory
+export const DEFAULT_STORE_RULES = [
+  { id: null, rule_type: "name_exclude", value: "^walmart\\b" },
+  { id: null, rule_type: "name_exclude", value: "^target$" },
+  { id: null, rule_type: "name_exclude", value: "^best buy\\b" },
+];
+
+const isNamePattern = (ruleType) =>
+  ruleType === "name_include" || ruleType === "name_exclude";
+
+const isValidPattern = (value) => {
+  try {
+    new RegExp(value, "i");
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const parseRuleValue = (ruleType, value) => {
+  if (ruleType === "min_reviews") {
+    const count = typeof value === "string" ? Number(value) : value;
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(STORE_RULE_ERRORS.MIN_REVIEWS);
+    }
+    return String(count);
+  }
+
+  if (typeof value !== "string" || !value.trim()) {
+    throw new Error(
+      isNamePattern(ruleType)
+        ? STORE_RULE_ERRORS.PATTERN
+        : STORE_RULE_ERRORS.TEXT
+    );
+  }
+  if (
+    isNamePattern(ruleType) &&
+    (value.length > MAX_PATTERN_LENGTH || !isValidPattern(value))
+  ) {
+    throw new Error(STORE_RULE_ERRORS.PATTERN);
+  }
+  return value.trim();
+};
+
+/**
+ * Validates a store rule from an admin request body
+ * @param {Object} body - { rule_type, value, enabled?, description? }
+ * @param {Object} [existing] - Current rule, when body is a partial update
+ * @returns {Object} The fields to write
+ * @throws {Error} With one of STORE_RULE_ERRORS when the body is invalid
+ */
+export const parseStoreRule = (body, existing = null) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new Error(STORE_RULE_ERRORS.BODY);
+  }
+
+  const ruleType = body.rule_type ?? existing?.rule_type;
+  if (!STORE_RULE_TYPES.includes(ruleType)) {
+    throw new Error(STORE_RULE_ERRORS.TYPE);
+  }
+
+  const rule = {
+    rule_type: ruleType,
+    value: parseRuleValue(ruleType, body.value ?? existing?.value),
+  };
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== "boolean") {
+      throw new Error(STORE_RULE_ERRORS.ENABLED);
+    }
+    rule.enabled = body.enabled;
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== "string") {
+      throw new Error(STORE_RULE_ERRORS.DESCRIPTION);
+    }
+    rule.description = body.description;
+  }
+
+  return rule;
+};
+
+// Prepares rules once per scrape instead of once per store
+const compileRules = (rules) =>
+  rules
+    .filter((rule) => STORE_RULE_TYPES.includes(rule.rule_type))
+    .map((rule) => ({
+      ...rule,
+      pattern: isNamePattern(rule.rule_type)
+        ? new RegExp(rule.value, "i")
+        : null,
+      category: rule.value.toLowerCase(),
+    }))
+    .sort(
+      (a, b) =>
+        STORE_RULE_TYPES.indexOf(a.rule_type) -
+        STORE_RULE_TYPES.indexOf(b.rule_type)
+    );
+
+// Returns { excluded, rule } for the first rule that decides the store, or
+// null when no rule applies and the store is kept
+const evaluateStore = (store, rules, allowedCategories) => {
+  const categories = [store.category_name, ...(store.categories || [])]
+    .filter(Boolean)
+    .map((category) => category.toLowerCase());
+
+  for (const rule of rules) {
+    switch (rule.rule_type) {
+      case "place_id_block":
+        if (store.place_id === rule.value) return { excluded: true, rule };
+        break;
+      case "name_include":
+        if (rule.pattern.test(store.name)) return { excluded: false, rule };
+        break;
+      case "name_exclude":
+        if (rule.pattern.test(store.name)) return { excluded: true, rule };
+        break;
+      case "category_deny":
+        if (categories.includes(rule.category)) {
+          return { excluded: true, rule };
+        }
+        break;
+      case "category_allow":
+        // All allow rules form one list; the first one stands in for it
+        if (
+          rule === allowedCategories.rule &&
+          !categories.some((category) => allowedCategories.set.has(category))
+        ) {
+          return { excluded: true, rule };
+        }
+        break;
+      case "min_reviews":
+        if ((store.reviews_count || 0) < Number(rule.value)) {
+          return { excluded: true, rule };
+        }
+        break;
+    }
+  }
+  return null;
+};
+
+/**
+ * Splits scraped stores into the ones to ingest and the ones the rules exclude
+ * @param {Array<Object>} stores - Output of transformStoreData
+ * @param {Array<Object>} rules - Enabled store_rules rows
+ * @returns {{stores: Array<Object>, exclusions: Array<{store: Object, rule: Object}>}}
+ */
+export const applyStoreRules = (stores, rules) => {
+  const compiled = compileRules(rules);
+  const allowRules = compiled.filter(
+    (rule) => rule.rule_type === "category_allow"
+  );
+  const allowedCategories = {
+    rule: allowRules[0],
+    set: new Set(allowRules.map((rule) => rule.category)),
+  };
+
+  const kept = [];
+  const exclusions = [];
+  for (const store of stores) {
+    const decision = evaluateStore(store, compiled, allowedCategories);
+    if (decision?.excluded) {
+      const { pattern, category, ...rule } = decision.rule;
+      exclusions.push({ store, rule });
+    } else {
+      kept.push(store);
+    }
+  }
+
+  return { stores: kept, exclusions };
+};
@@ -0,0 +1,154 @@
+/**
+ * Offline timezone lookup for US stores.
+ * Each state maps to its main IANA zone; states split across zones use a
+ * longitude boundary to pick the secondary zone. The boundaries are
+ * approximations of the real zone lines, good enough for opening hours.
+ */
+
+const STATE_TIMEZONES = {
+  AL: { name: "Alabama", zone: "America/Chicago" },
+  AK: { name: "Alaska", zone: "America/Anchorage" },
+  AZ: { name: "Arizona", zone: "America/Phoenix" },
+  AR: { name: "Arkansas", zone: "America/Chicago" },
+  CA: { name: "California", zone: "America/Los_Angeles" },
+  CO: { name: "Colorado", zone: "America/Denver" },
+  CT: { name: "Connecticut", zone: "America/New_York" },
+  DE: { name: "Delaware", zone: "America/New_York" },
+  DC: { name: "District of Columbia", zone: "America/New_York" },
+  FL: {
+    name: "Florida",
+    zone: "America/New_York",
+    west: { beforeLng: -85.0, zone: "America/Chicago" },
+  },
+  GA: { name: "Georgia", zone: "America/New_York" },
+  HI: { name: "Hawaii", zone: "Pacific/Honolulu" },
+  ID: {
+    name: "Idaho",
+    zone: "America/Boise",
+    north: { aboveLat: 45.5, zone: "America/Los_Angeles" },
+  },
+  IL: { name: "Illinois", zone: "America/Chicago" },
+  IN: {
+    name: "Indiana",
+    zone: "America/Indiana/Indianapolis",
+    west: { beforeLng: -86.9, zone: "America/Chicago" },
+  },
+  IA: { name: "Iowa", zone: "America/Chicago" },
+  KS: {
+    name: "Kansas",
+    zone: "America/Chicago",
+    west: { beforeLng: -101.5, zone: "America/Denver" },
+  },
+  KY: {
+    name: "Kentucky",
+    zone: "America/New_York",
+    west: { beforeLng: -85.9, zone: "America/Chicago" },
+  },
+  LA: { name: "Louisiana", zone: "America/Chicago" },
+  ME: { name: "Maine", zone: "America/New_York" },
+  MD: { name: "Maryland", zone: "America/New_York" },
+  MA: { name: "Massachusetts", zone: "America/New_York" },
+  MI: {
+    name: "Michigan",
+    zone: "America/Detroit",
+    west: { beforeLng: -87.6, zone: "America/Menominee" },
+  },
+  MN: { name: "Minnesota", zone: "America/Chicago" },
+  MS: { name: "Mississippi", zone: "America/Chicago" },
+  MO: { name: "Missouri", zone: "America/Chicago" },
+  MT: { name: "Montana", zone: "America/Denver" },
+  NE: {
+    name: "Nebraska",
+    zone: "America/Chicago",
+    west: { beforeLng: -101.0, zone: "America/Denver" },
+  },
+  NV: { name: "Nevada", zone: "America/Los_Angeles" },
+  NH: { name: "New Hampshire", zone: "America/New_York" },
+  NJ: { name: "New Jersey", zone: "America/New_York" },
+  NM: { name: "New Mexico", zone: "America/Denver" },
+  NY: { name: "New York", zone: "America/New_York" },
+  NC: { name: "North Carolina", zone: "America/New_York" },
+  ND: {
+    name: "North Dakota",
+    zone: "America/Chicago",
+    west: { beforeLng: -101.3, zone: "America/Denver" },
+  },
+  OH: { name: "Ohio", zone: "America/New_York" },
+  OK: { name: "Oklahoma", zone: "America/Chicago" },
+  OR: {
+    name: "Oregon",
+    zone: "America/Los_Angeles",
+    east: { afterLng: -117.7, zone: "America/Boise" },
+  },
+  PA: { name: "Pennsylvania", zone: "America/New_York" },
+  RI: { name: "Rhode Island", zone: "America/New_York" },
+  SC: { name: "South Carolina", zone: "America/New_York" },
+  SD: {
+    name: "South Dakota",
+    zone: "America/Chicago",
+    west: { beforeLng: -100.3, zone: "America/Denver" },
+  },
+  TN: {
+    name: "Tennessee",
+    zone: "America/Chicago",
+    east: { afterLng: -85.0, zone: "America/New_York" },
+  },
+  TX: {
+    name: "Texas",
+    zone: "America/Chicago",
+    west: { beforeLng: -104.9, zone: "America/Denver" },
+  },
+  UT: { name: "Utah", zone: "America/Denver" },
+  VT: { name: "Vermont", zone: "America/New_York" },
+  VA: { name: "Virginia", zone: "America/New_York" },
+  WA: { name: "Washington", zone: "America/Los_Angeles" },
+  WV: { name: "West Virginia", zone: "America/New_York" },
+  WI: { name: "Wisconsin", zone: "America/Chicago" },
+  WY: { name: "Wyoming", zone: "America/Denver" },
+  PR: { name: "Puerto Rico", zone: "America/Puerto_Rico" },
+};
+
+// Stores record the full state name from Google, so index by name as well as code
+const STATES_BY_KEY = new Map(
+  Object.entries(STATE_TIMEZONES).flatMap(([code, state]) => [
+    [code.toLowerCase(), state],
+    [state.name.toLowerCase(), state],
+  ])
+);
+
+// Rough mainland zone bands used when a store has coordinates but no known state
+const zoneFromLongitude = (latitude, longitude) => {
+  if (latitude > 51 && longitude < -129) return "America/Anchorage";
+  if (latitude < 23 && longitude < -154) return "Pacific/Honolulu";
+  if (longitude >= -87.5) return "America/New_York";
+  if (longitude >= -101) return "America/Chicago";
+  if (longitude >= -114) return "America/Denver";
+  return "America/Los_Angeles";
+};
+
+/**
+ * Derives a store's IANA timezone from its state and coordinates, offline
+ * @param {Object} store
+ * @param {string} [store.state] - State name or two-letter code
+ * @param {number} [store.latitude]
+ * @param {number} [store.longitude]
+ * @returns {string|null} IANA timezone, or null when it can't be determined
+ */
+export const getStoreTimezone = ({ state, latitude, longitude } = {}) => {
+  const lat = latitude == null ? NaN : Number(latitude);
+  const lng = longitude == null ? NaN : Number(longitude);
+  const hasCoordinates = !isNaN(lat) && !isNaN(lng);
+  const entry = state ? STATES_BY_KEY.get(String(state).toLowerCase()) : null;
+
+  if (!entry) {
+    return hasCoordinates ? zoneFromLongitude(lat, lng) : null;
+  }
+
+  if (hasCoordinates) {
+    if (entry.west && lng < entry.west.beforeLng) return entry.west.zone;
+    if (entry.east && lng > entry.east.afterLng) return entry.east.zone;
+    if (entry.north && lat > entry.north.aboveLat) return entry.north.zone;
+  }
+
+  return entry.zone;
+};
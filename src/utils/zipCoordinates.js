@@ -1,26 +1,190 @@
 import { createClient } from "@supabase/supabase-js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
 import config from "../config/config.js";
+import logger from "./logger.js";
 
+const filepath = "utils/zipCoordinates.js";
 const supabase = createClient(config.supabase.url, config.supabase.key);
 
-export const getZipCoordinates = async (zipCode) => {
-  // Validate input ZIP format (must be exactly 5 digits)
-  if (!/^[0-9]{5}$/.test(zipCode)) {
-    throw new Error("ZIP code must be exactly 5 digits");
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Local coordinate files per country, built by scripts/transformZipData.js and
+// scripts/transformFsaData.js. Canada is indexed by FSA (first 3 characters).
+const POSTAL_DATA_PATHS = {
+  US: path.join(__dirname, "../../data/zip_coordinates.json"),
+  CA: path.join(__dirname, "../../data/ca_fsa_coordinates.json"),
+};
+
+export const SUPPORTED_COUNTRIES = Object.keys(POSTAL_DATA_PATHS);
+
+export const POSTAL_CODE_ERRORS = {
+  COUNTRY: `country must be one of: ${SUPPORTED_COUNTRIES.join(", ")}`,
+  US_FORMAT: "ZIP code must be 5 digits or ZIP+4 (12345-6789)",
+  CA_FORMAT: "Canadian postal code must look like A1A or A1A 1A1",
+  US_NOT_FOUND: "ZIP code not found",
+  CA_NOT_FOUND: "Postal code not found",
+};
+
+const US_ZIP_PATTERN = /^(\d{5})(?:-?\d{4})?$/;
+// Canada Post never uses D, F, I, O, Q or U, nor W or Z as the first letter
+const CA_POSTAL_PATTERN =
+  /^([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPR-TV-Z])(?: ?\d[ABCEGHJ-NPR-TV-Z]\d)?$/;
+
+/**
+ * Normalizes a postal code to the form coordinates are stored under:
+ * ZIP+4 to its 5 digit ZIP, a Canadian postal code to its FSA ("M5V 3L9" -> "M5V")
+ * @param {string} postalCode - Code as entered, e.g. "60614-1234" or "m5v3l9"
+ * @param {string} [country] - "US" or "CA"; inferred from the code when omitted
+ * @returns {{code: string, country: string}}
+ * @throws {Error} With one of POSTAL_CODE_ERRORS when the code or country is invalid
+ */
+export const normalizePostalCode = (postalCode, country) => {
+  const text = String(postalCode ?? "")
+    .trim()
+    .toUpperCase();
+  // Canadian codes start with a letter, US ones with a digit
+  const inferredCountry = /^[A-Z]/.test(text) ? "CA" : "US";
+  const resolvedCountry = country
+    ? String(country).trim().toUpperCase()
+    : inferredCountry;
+
+  if (resolvedCountry === "US") {
+    const match = US_ZIP_PATTERN.exec(text);
+    if (!match) throw new Error(POSTAL_CODE_ERRORS.US_FORMAT);
+    return { code: match[1], country: "US" };
+  }
+
+  if (resolvedCountry === "CA") {
+    const match = CA_POSTAL_PATTERN.exec(text);
+    if (!match) throw new Error(POSTAL_CODE_ERRORS.CA_FORMAT);
+    return { code: match[1], country: "CA" };
+  }
+
+  throw new Error(POSTAL_CODE_ERRORS.COUNTRY);
+};
+
+// In-process indexes per country; a country is missing until its file loads
+const postalIndexes = new Map();
+const loadAttempted = new Set();
+
+// Keys as stored in the files: US ZIPs lost leading zeros in older exports
+const normalizeIndexKey = (code, country) =>
+  country === "US" ? code.padStart(5, "0") : code.toUpperCase();
+
+const loadPostalIndex = (country) => {
+  loadAttempted.add(country);
+
+  try {
+    const data = JSON.parse(
+      fs.readFileSync(POSTAL_DATA_PATHS[country], "utf8")
+    );
+    postalIndexes.set(
+      country,
+      new Map(
+        Object.entries(data).map(([code, coords]) => [
+          normalizeIndexKey(code, country),
+          { latitude: coords.latitude, longitude: coords.longitude },
+        ])
+      )
+    );
+
+    logger.info("Local postal code index loaded", {
+      filepath,
+      country,
+      codeCount: postalIndexes.get(country).size,
+    });
+    return true;
+  } catch (error) {
+    logger.error("Failed to load local postal code index", {
+      filepath,
+      country,
+      path: POSTAL_DATA_PATHS[country],
+      error: error.message,
+    });
+    return false;
+  }
+};
+
+/**
+ * Loads the local coordinate file of every supported country into memory.
+ * Called at startup; a country whose file fails to load falls back to the
+ * database only.
+ * @returns {boolean} Whether every country's index is available
+ */
+export const loadPostalCodeIndexes = () =>
+  SUPPORTED_COUNTRIES.map(
+    (country) => postalIndexes.has(country) || loadPostalIndex(country)
+  ).every(Boolean);
+
+// Returns coordinates, null when the code isn't in the index, or undefined when there is no index
+const lookupLocal = ({ code, country }) => {
+  if (!postalIndexes.has(country) && !loadAttempted.has(country)) {
+    loadPostalIndex(country);
+  }
+  const index = postalIndexes.get(country);
+  if (!index) return undefined;
+  return index.get(code) || null;
+};
+
+// Returns coordinates, null when the code isn't in the table, or undefined when the query failed
+const lookupDatabase = async ({ code, country }) => {
+  try {
+    const { data, error } = await supabase
+      .from("zip_coordinates")
+      .select("latitude, longitude")
+      .eq("country_code", country)
+      .eq("zip_code", code)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data ? { latitude: data.latitude, longitude: data.longitude } : null;
+  } catch (error) {
+    logger.warn("Postal code database lookup failed", {
+      filepath,
+      postalCode: code,
+      country,
+      error: error.message,
+    });
+    return undefined;
+  }
+};
+
+/**
+ * Converts a US ZIP code or Canadian postal code to coordinates.
+ * The source tried first is set by config.zipLookup.primarySource ("local" or
+ * "database"); the other one is used when the first can't answer.
+ * @param {string} postalCode - ZIP, ZIP+4, FSA or full Canadian postal code
+ * @param {string} [country] - "US" or "CA"; inferred from the code when omitted
+ * @returns {Promise<{latitude: number, longitude: number, postalCode: {code: string, country: string}}>}
+ *   postalCode is the normalized code the coordinates belong to
+ * @throws {Error} With one of POSTAL_CODE_ERRORS when the code is invalid or
+ *   unknown to a working source, "ZIP code service unavailable" when neither
+ *   source could be queried
+ */
+export const getPostalCodeCoordinates = async (postalCode, country) => {
+  const normalized = normalizePostalCode(postalCode, country);
+
+  const local = lookupLocal(normalized);
+  if (config.zipLookup.primarySource === "local" && local) {
+    return { ...local, postalCode: normalized };
   }
 
-  const { data, error } = await supabase
-    .from("zip_coordinates")
-    .select("latitude, longitude")
-    .eq("zip_code", zipCode)
-    .single();
+  const database = await lookupDatabase(normalized);
+  if (database) return { ...database, postalCode: normalized };
+  if (local) return { ...local, postalCode: normalized };
 
-  if (error || !data) {
-    throw new Error("ZIP code not found");
+  if (local === null || database === null) {
+    throw new Error(POSTAL_CODE_ERRORS[`${normalized.country}_NOT_FOUND`]);
   }
 
-  return {
-    latitude: data.latitude,
-    longitude: data.longitude,
-  };
+  logger.error("No postal code source available", {
+    filepath,
+    postalCode: normalized.code,
+    country: normalized.country,
+  });
+  throw new Error("ZIP code service unavailable");
 };
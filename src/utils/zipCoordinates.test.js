@@ -0,0 +1,65 @@
+// zipCoordinates.js loads config, which requires these; nothing here calls out
+process.env.SUPABASE_URL ??= "http://localhost:54321";
+process.env.SUPABASE_KEY ??= "test-key";
+process.env.APIFY_API_TOKEN ??= "test-token";
+
+const { normalizePostalCode, POSTAL_CODE_ERRORS } = await import(
+  "./zipCoordinates.js"
+);
+
+describe("normalizePostalCode", () => {
+  it.each([
+    ["60614", "60614"],
+    ["60614-1234", "60614"],
+    ["606141234", "60614"],
+    [" 02134 ", "02134"],
+  ])("normalizes US ZIP %p", (input, code) => {
+    expect(normalizePostalCode(input)).toEqual({ code, country: "US" });
+  });
+
+  it.each([
+    ["M5V 3L9", "M5V"],
+    ["m5v3l9", "M5V"],
+    ["M5V", "M5V"],
+    [" k1a 0b1 ", "K1A"],
+  ])("normalizes Canadian postal code %p to its FSA", (input, code) => {
+    expect(normalizePostalCode(input)).toEqual({ code, country: "CA" });
+  });
+
+  it("uses the given country over the inferred one", () => {
+    expect(normalizePostalCode("60614", "us")).toEqual({
+      code: "60614",
+      country: "US",
+    });
+    expect(() => normalizePostalCode("60614", "CA")).toThrow(
+      POSTAL_CODE_ERRORS.CA_FORMAT
+    );
+    expect(() => normalizePostalCode("M5V 3L9", "US")).toThrow(
+      POSTAL_CODE_ERRORS.US_FORMAT
+    );
+  });
+
+  it.each(["6061", "606145", "60614-12", "60614 1234", "", undefined])(
+    "rejects US ZIP %p",
+    (input) => {
+      expect(() => normalizePostalCode(input)).toThrow(
+        POSTAL_CODE_ERRORS.US_FORMAT
+      );
+    }
+  );
+
+  it.each(["M5V3L", "M5V  3L9", "D1A", "M5D", "M5V 3U9", "W1A", "Z1A"])(
+    "rejects Canadian postal code %p",
+    (input) => {
+      expect(() => normalizePostalCode(input)).toThrow(
+        POSTAL_CODE_ERRORS.CA_FORMAT
+      );
+    }
+  );
+
+  it("rejects an unsupported country", () => {
+    expect(() => normalizePostalCode("12345", "MX")).toThrow(
+      POSTAL_CODE_ERRORS.COUNTRY
+    );
+  });
+});